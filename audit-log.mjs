@@ -0,0 +1,77 @@
+// audit-log.mjs
+//
+// Append-only audit trail of what went to the models and what came back,
+// one JSON object per line at `file`:
+//
+//   { at, requestId, jobId, session, user, route,
+//     type: "prompt" | "reply" | "error" | "cancelled",
+//     text?, model?, usage?, complete?, error?, redactions? }
+//
+// Entries are never rewritten; query() scans the file. With `redact` on,
+// secrets in the text (see secrets.mjs) are replaced with [REDACTED] before
+// anything is written, and `redactions` counts them.
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+import { redactSecrets } from "./secrets.mjs";
+
+export function createAuditLog({ file, redact = true }) {
+  if (!file) throw new Error("createAuditLog needs a 'file'.");
+  let pendingWrite = Promise.resolve();
+
+  return {
+    redact,
+
+    // Appends `entry` (with `at` filled in). Resolves once it is on disk.
+    record(entry) {
+      let line = { at: Date.now(), ...entry };
+      if (redact && typeof line.text === "string") {
+        const { text, count } = redactSecrets(line.text);
+        line = { ...line, text, ...(count ? { redactions: count } : {}) };
+      }
+      const json = `${JSON.stringify(line)}\n`;
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(async () => {
+          await fsp.mkdir(path.dirname(file), { recursive: true });
+          await fsp.appendFile(file, json, "utf8");
+        });
+      return pendingWrite;
+    },
+
+    // Entries matching every given field, oldest first, at most `limit` of
+    // the newest.
+    async query({ sessionId, requestId, limit = 200 } = {}) {
+      await pendingWrite.catch(() => {});
+      const found = [];
+      let input;
+      try {
+        input = fs.createReadStream(file, { encoding: "utf8" });
+        await new Promise((resolve, reject) => {
+          input.once("open", resolve);
+          input.once("error", reject);
+        });
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+
+      for await (const line of readline.createInterface({ input })) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // torn last line after a crash
+        }
+        if (sessionId !== undefined && entry.session !== sessionId) continue;
+        if (requestId !== undefined && entry.requestId !== requestId) continue;
+        found.push(entry);
+        if (found.length > limit) found.shift();
+      }
+      return found;
+    },
+  };
+}
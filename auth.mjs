@@ -0,0 +1,246 @@
+// auth.mjs
+//
+// Local user accounts and bearer tokens, stored in one JSON file:
+//
+//   { users:  [{ id, username, role, passwordHash, createdAt }],
+//     tokens: [{ id, userId, kind, name, hash, createdAt, expiresAt }] }
+//
+// Passwords are hashed with scrypt. Tokens are random and only their
+// SHA-256 is kept, so a leaked file can't be replayed against the server.
+// kind is "login" (issued by POST /api/auth/login, expires) or "api"
+// (named, long-lived, for scripts and the CLI).
+
+import crypto from "node:crypto";
+import { createJsonFile } from "./json-file.mjs";
+
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9_.-]{1,39}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function scrypt(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+// "scrypt$N$r$p$salt$hash", salt and hash base64.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, SCRYPT_COST);
+  const { N, r, p } = SCRYPT_COST;
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(String(password), Buffer.from(salt, "base64"), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newToken(kind) {
+  return `${kind === "api" ? "unh" : "unhs"}_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+export function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+// Why these credentials can't be used for a new account, or null.
+export function credentialsProblem(username, password) {
+  if (!USERNAME_RE.test(normalizeUsername(username))) {
+    return "Username must be 2-40 characters: letters, digits, '.', '_' or '-'.";
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+}
+
+export function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+  };
+}
+
+function publicToken(token) {
+  return {
+    id: token.id,
+    kind: token.kind,
+    name: token.name || null,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt || null,
+  };
+}
+
+/**
+ * Auth store backed by `file` (created on first write).
+ * `loginTtlMs` is how long a login token stays valid.
+ */
+export function createAuthStore({ file, loginTtlMs = 7 * 24 * 60 * 60 * 1000 }) {
+  if (!file) throw new Error("createAuthStore needs a 'file'.");
+
+  // The file holds hashes only, but stays 0600.
+  const store = createJsonFile({ file, mode: 0o600 });
+  let state = { users: [], tokens: [] };
+
+  const ready = (async () => {
+    const raw = await store.read();
+    state = {
+      users: Array.isArray(raw?.users) ? raw.users : [],
+      tokens: Array.isArray(raw?.tokens) ? raw.tokens : [],
+    };
+  })();
+
+  function persist() {
+    return store.write(state);
+  }
+
+  function dropExpired(now = Date.now()) {
+    const before = state.tokens.length;
+    state.tokens = state.tokens.filter((t) => !t.expiresAt || t.expiresAt > now);
+    return state.tokens.length !== before;
+  }
+
+  async function issue(userId, kind, { name = null, ttlMs = 0 } = {}) {
+    const token = newToken(kind);
+    const now = Date.now();
+    const record = {
+      id: crypto.randomUUID(),
+      userId,
+      kind,
+      name,
+      hash: hashToken(token),
+      createdAt: now,
+      expiresAt: ttlMs ? now + ttlMs : null,
+    };
+    dropExpired(now);
+    state.tokens.push(record);
+    await persist();
+    return { token, record };
+  }
+
+  function findUser(username) {
+    const name = normalizeUsername(username);
+    return state.users.find((u) => u.username === name) || null;
+  }
+
+  return {
+    ready,
+
+    async userCount() {
+      await ready;
+      return state.users.length;
+    },
+
+    async getUser(id) {
+      await ready;
+      const user = state.users.find((u) => u.id === id);
+      return user ? publicUser(user) : null;
+    },
+
+    async findUser(username) {
+      await ready;
+      const user = findUser(username);
+      return user ? publicUser(user) : null;
+    },
+
+    // Caller validates with credentialsProblem() first. Returns null if the
+    // username is taken.
+    async createUser({ username, password, role = "user" }) {
+      await ready;
+      if (findUser(username)) return null;
+
+      const passwordHash = await hashPassword(password);
+      // Another signup may have taken the name while we were hashing.
+      if (findUser(username)) return null;
+
+      const user = {
+        id: crypto.randomUUID(),
+        username: normalizeUsername(username),
+        role,
+        passwordHash,
+        createdAt: Date.now(),
+      };
+      state.users.push(user);
+      await persist();
+      return publicUser(user);
+    },
+
+    // Returns { token, expiresAt, user } or null for bad credentials.
+    async login(username, password) {
+      await ready;
+      const user = findUser(username);
+      // Hash anyway so unknown usernames take as long as wrong passwords.
+      const ok = await verifyPassword(
+        password,
+        user?.passwordHash || "scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$AA=="
+      );
+      if (!user || !ok) return null;
+
+      const { token, record } = await issue(user.id, "login", {
+        ttlMs: loginTtlMs,
+      });
+      return { token, expiresAt: record.expiresAt, user: publicUser(user) };
+    },
+
+    async createApiToken(userId, name) {
+      await ready;
+      const { token, record } = await issue(userId, "api", { name });
+      return { token, ...publicToken(record) };
+    },
+
+    async listApiTokens(userId) {
+      await ready;
+      return state.tokens
+        .filter((t) => t.userId === userId && t.kind === "api")
+        .map(publicToken);
+    },
+
+    // Revoke one of the user's tokens by id. Returns false if not found.
+    async revokeToken(userId, tokenId) {
+      await ready;
+      const before = state.tokens.length;
+      state.tokens = state.tokens.filter(
+        (t) => !(t.userId === userId && t.id === tokenId)
+      );
+      if (state.tokens.length === before) return false;
+      await persist();
+      return true;
+    },
+
+    // Who a raw bearer token belongs to: { user, token } or null.
+    async resolve(token) {
+      await ready;
+      if (!token) return null;
+
+      const hash = hashToken(token);
+      const record = state.tokens.find((t) => t.hash === hash);
+      if (!record) return null;
+      if (record.expiresAt && record.expiresAt <= Date.now()) {
+        if (dropExpired()) await persist();
+        return null;
+      }
+
+      const user = state.users.find((u) => u.id === record.userId);
+      return user ? { user: publicUser(user), token: publicToken(record) } : null;
+    },
+  };
+}
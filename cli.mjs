@@ -0,0 +1,562 @@
+#!/usr/bin/env node
+// cli.mjs
+//
+// Command-line client for a running Unhinged Codex server.
+//
+//   unhinged chat [prompt...]          prompt from the arguments and/or stdin
+//   unhinged refactor <files...>       files, folders or a .zip as one upload
+//   unhinged refactor --repo <name> [paths...]
+//                                      a git repo the server allows (GIT_REPOS)
+//   unhinged sessions [use <id> | reset]
+//   unhinged export --out <dir>        the latest reply's files, unzipped
+//
+// Each working directory keeps its own session (in UNHINGED_STATE_FILE,
+// default ~/.config/unhinged/sessions.json), so follow-ups in the same
+// directory continue the conversation; --new starts over. Replies stream to
+// stdout as they arrive (--no-stream prints them at the end, --json prints
+// the whole result); progress goes to stderr. --write puts the reply's
+// `// file:` blocks under --out (default: the current directory), and
+// --dry-run only lists what would be written.
+//
+// Server: UNHINGED_URL or --url (default http://localhost:3000). API token:
+// UNHINGED_TOKEN or --token, for servers with AUTH_MODE=required.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { createJsonFile } from "./json-file.mjs";
+import { filesToWrite, safeRelativePath } from "./output-blocks.mjs";
+import { skipReasonForPath } from "./project-context.mjs";
+import { readZip } from "./zip.mjs";
+
+const USAGE = `
+Usage:
+  unhinged chat [prompt...]              (stdin is added to the prompt)
+  unhinged refactor <files...>           (instructions: -m or stdin)
+  unhinged refactor --repo <name> [paths...]
+  unhinged sessions [use <id> | reset]
+  unhinged export --out <dir> [--workspace] [--message-index <n>]
+
+Options:
+  --url <url>            server (UNHINGED_URL, default http://localhost:3000)
+  --token <token>        API token (UNHINGED_TOKEN)
+  --session <id>         use this session instead of the directory's
+  --new                  start a new session for this directory
+  --profile <id>         system prompt profile (generate, review, ...)
+  -m, --message <text>   refactor instructions
+  --large-file-mode <m>  chunked (default) or quick, for files over 200k
+  --no-stream            print the reply when it is complete
+  --json                 print the full JSON result
+  -w, --write            write the reply's file blocks to disk
+  -o, --out <dir>        where files are written (default: .)
+  --dry-run              list the files instead of writing them
+  -h, --help             this help
+`.trim();
+
+const OPTIONS = {
+  url: { type: "string" },
+  token: { type: "string" },
+  session: { type: "string" },
+  new: { type: "boolean" },
+  profile: { type: "string" },
+  message: { type: "string", short: "m" },
+  repo: { type: "string" },
+  "large-file-mode": { type: "string" },
+  "no-stream": { type: "boolean" },
+  json: { type: "boolean" },
+  write: { type: "boolean", short: "w" },
+  out: { type: "string", short: "o" },
+  "dry-run": { type: "boolean" },
+  workspace: { type: "boolean" },
+  "message-index": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Folders are walked like the browser upload: no dependency trees, no huge
+// files, and the same skip rules the server applies.
+const MAX_UPLOAD_FILE_BYTES = 2 * 1024 * 1024;
+
+class UsageError extends Error {}
+
+// ------------------------- session per directory --------------------------
+
+function stateFile() {
+  if (process.env.UNHINGED_STATE_FILE) return process.env.UNHINGED_STATE_FILE;
+  const config =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(config, "unhinged", "sessions.json");
+}
+
+// { directories: { [cwd]: { [serverUrl]: sessionId } } }
+async function readState(store) {
+  const raw = await store.read();
+  return raw && typeof raw.directories === "object"
+    ? raw
+    : { directories: {} };
+}
+
+async function saveDirectorySession(baseUrl, sessionId) {
+  const store = createJsonFile({ file: stateFile() });
+  const state = await readState(store);
+  const dir = process.cwd();
+  const byServer = { ...state.directories[dir] };
+  if (sessionId) byServer[baseUrl] = sessionId;
+  else delete byServer[baseUrl];
+  if (Object.keys(byServer).length) state.directories[dir] = byServer;
+  else delete state.directories[dir];
+  await store.write(state);
+}
+
+async function directorySession(baseUrl) {
+  const state = await readState(createJsonFile({ file: stateFile() }));
+  return state.directories[process.cwd()]?.[baseUrl] || null;
+}
+
+// ------------------------- HTTP -------------------------------------------
+
+function createClient({ url, token }) {
+  const baseUrl = url.replace(/\/+$/, "");
+  const headers = (extra = {}) => ({
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...extra,
+  });
+
+  async function send(method, route, body) {
+    let res;
+    try {
+      res = await fetch(baseUrl + route, {
+        method,
+        headers: headers(body ? { "Content-Type": "application/json" } : {}),
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      const reason = err.cause?.message || err.message;
+      throw new Error(`Could not reach ${baseUrl}: ${reason}`);
+    }
+    if (!res.ok) {
+      let message = `${res.status} ${res.statusText}`.trim();
+      try {
+        message = (await res.json()).error || message;
+      } catch {
+        // not JSON
+      }
+      throw new Error(message);
+    }
+    return res;
+  }
+
+  return {
+    baseUrl,
+
+    async json(method, route, body) {
+      return (await send(method, route, body)).json();
+    },
+
+    async buffer(method, route, body) {
+      const res = await send(method, route, body);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    // POST to a /stream route; onEvent(event, data) for every frame.
+    async events(route, body, onEvent) {
+      const res = await send("POST", route, body);
+      const decoder = new TextDecoder();
+      let buffer = "";
+      const flush = (frame) => {
+        let event = "message";
+        const data = [];
+        for (const line of frame.split(/\r?\n/)) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+        }
+        if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+      };
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let idx;
+        while ((idx = buffer.indexOf("\n\n")) !== -1) {
+          flush(buffer.slice(0, idx));
+          buffer = buffer.slice(idx + 2);
+        }
+      }
+    },
+  };
+}
+
+// ------------------------- input ------------------------------------------
+
+async function readStdin() {
+  if (process.stdin.isTTY) return "";
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Paths as the server sees them: relative to the current directory, or to
+// the target's parent for targets outside it.
+function uploadPathOf(target) {
+  const rel = path.relative(process.cwd(), path.resolve(target));
+  const clean =
+    rel.startsWith("..") || path.isAbsolute(rel)
+      ? path.basename(path.resolve(target))
+      : rel;
+  return clean.split(path.sep).join("/");
+}
+
+// Every file under `target` (shown to the server as `rel`), skipping what
+// the server would skip anyway. Symlinks are not followed.
+async function collectFiles(target, rel, out, skipped) {
+  const info = await fs.lstat(target);
+  if (info.isDirectory()) {
+    for (const entry of await fs.readdir(target, { withFileTypes: true })) {
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && skipReasonForPath(`${childRel}/x`)) {
+        skipped.push(`${childRel}/`);
+        continue;
+      }
+      await collectFiles(path.join(target, entry.name), childRel, out, skipped);
+    }
+    return;
+  }
+  if (!info.isFile()) return;
+  if (info.size > MAX_UPLOAD_FILE_BYTES || skipReasonForPath(rel)) {
+    skipped.push(rel);
+    return;
+  }
+  out.push({ path: rel, content: await fs.readFile(target, "utf8") });
+}
+
+// The /api/upload body for `targets`, in the shapes index.html sends: one
+// file on its own, a .zip as an archive, anything else as a project.
+async function uploadBody(targets, instructions, largeFileMode) {
+  const zips = targets.filter((t) => /\.zip$/i.test(t));
+  if (zips.length > 1) throw new UsageError("Send one .zip at a time.");
+
+  if (targets.length === 1 && !zips.length) {
+    const info = await fs.stat(targets[0]);
+    if (info.isFile()) {
+      return {
+        fileName: path.basename(targets[0]),
+        fileSize: info.size,
+        fileContent: await fs.readFile(targets[0], "utf8"),
+        instructions,
+        largeFileMode,
+      };
+    }
+  }
+
+  const files = [];
+  const skipped = [];
+  for (const target of targets.filter((t) => !zips.includes(t))) {
+    await collectFiles(target, uploadPathOf(target), files, skipped);
+  }
+  if (skipped.length) {
+    console.error(`Skipping ${skipped.length} path(s): ${skipped.join(", ")}`);
+  }
+  const body = { files, instructions };
+  if (zips.length) {
+    body.archive = {
+      fileName: path.basename(zips[0]),
+      base64: (await fs.readFile(zips[0])).toString("base64"),
+    };
+  } else if (!files.length) {
+    throw new UsageError("No files to send.");
+  }
+  return body;
+}
+
+// ------------------------- output -----------------------------------------
+
+// The first part of `relative` under `root` that is a symlink, or null.
+// Following one would let a path from the reply write outside `root`.
+async function symlinkOnPath(root, relative) {
+  let current = root;
+  for (const part of relative.split("/")) {
+    current = path.join(current, part);
+    try {
+      if ((await fs.lstat(current)).isSymbolicLink()) {
+        return path.relative(root, current);
+      }
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+  return null;
+}
+
+// Write (or with dryRun, list) `files` under `outDir`.
+async function writeFiles(files, rejected, { outDir, dryRun }) {
+  const root = path.resolve(outDir);
+  for (const r of rejected) {
+    console.error(`refused ${r.path} (${r.reason})`);
+  }
+  for (const file of files) {
+    const safe = safeRelativePath(file.path);
+    if (!safe) {
+      console.error(`refused ${file.path} (unsafe path)`);
+      continue;
+    }
+    const link = await symlinkOnPath(root, safe);
+    if (link) {
+      console.error(`refused ${file.path} (${link} is a symlink)`);
+      continue;
+    }
+    const target = path.join(root, safe);
+    let exists = false;
+    try {
+      await fs.access(target);
+      exists = true;
+    } catch {
+      // new file
+    }
+    const bytes = Buffer.byteLength(file.content);
+    if (dryRun) {
+      console.log(
+        `would write ${safe} (${exists ? "overwrite" : "new"}, ${bytes} bytes)`
+      );
+      continue;
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+    console.log(`wrote ${safe} (${bytes} bytes)`);
+  }
+  if (!files.length) console.error("The reply has no file blocks.");
+}
+
+// ------------------------- commands ---------------------------------------
+
+// Run one generation on `route` and print it. Returns the result
+// ({ assistantText, sessionId, modelUsed, ... }).
+async function generate(client, route, body, options) {
+  const stream = !options["no-stream"] && !options.json;
+  let result;
+  if (!stream) {
+    result = await client.json("POST", route, body);
+  } else {
+    let text = "";
+    let error = null;
+    let sessionId = body.sessionId;
+    await client.events(`${route}/stream`, body, (event, data) => {
+      switch (event) {
+        case "session":
+          sessionId = data.sessionId;
+          break;
+        case "job":
+          if (data.status === "queued") {
+            console.error("Queued behind another request in this session…");
+          }
+          break;
+        case "fallback":
+          console.error(`\n[falling back to ${data.model}]`);
+          break;
+        case "continuation":
+          console.error(
+            `\n[output limit hit; continuing ${data.index}/${data.max}]`
+          );
+          break;
+        case "reset":
+          // The answer starts over (a retry); what was printed is void.
+          if (text) console.error("\n[restarting the reply]");
+          text = "";
+          break;
+        case "delta":
+          text += data.text || "";
+          process.stdout.write(data.text || "");
+          break;
+        case "done":
+          result = {
+            ...data,
+            sessionId: data.sessionId || sessionId,
+            assistantText: text,
+          };
+          break;
+        case "cancelled":
+          error = `Cancelled. ${data.reason || ""}`.trim();
+          break;
+        case "error":
+          error = data.error || "Unknown streaming error.";
+          break;
+      }
+    });
+    if (text && !text.endsWith("\n")) process.stdout.write("\n");
+    if (error || !result) {
+      throw new Error(error || "Stream ended unexpectedly.");
+    }
+  }
+
+  if (options.json) console.log(JSON.stringify(result, null, 2));
+  else if (!stream) console.log(result.assistantText);
+
+  if (result.sessionId && !options.session) {
+    await saveDirectorySession(client.baseUrl, result.sessionId);
+  }
+  const notes = [
+    `session ${result.sessionId}`,
+    result.modelUsed && `model ${result.modelUsed}`,
+    result.fromFallback && "fallback",
+    result.complete === false && "cut off at the output limit",
+  ].filter(Boolean);
+  console.error(`— ${notes.join(" · ")}`);
+
+  if (options.write || options["dry-run"]) {
+    const { files, rejected } = filesToWrite(result.assistantText);
+    await writeFiles(files, rejected, {
+      outDir: options.out || ".",
+      dryRun: !!options["dry-run"],
+    });
+  }
+  return result;
+}
+
+async function sessionFor(client, options) {
+  if (options.session) return options.session;
+  if (options.new) {
+    await saveDirectorySession(client.baseUrl, null);
+    return undefined;
+  }
+  return (await directorySession(client.baseUrl)) || undefined;
+}
+
+async function chatCommand(client, args, options) {
+  const stdin = await readStdin();
+  const message = [args.join(" "), stdin.trim()].filter(Boolean).join("\n\n");
+  if (!message) throw new UsageError("Give a prompt as arguments or on stdin.");
+  await generate(
+    client,
+    "/api/chat",
+    {
+      sessionId: await sessionFor(client, options),
+      message,
+      ...(options.profile ? { profile: options.profile } : {}),
+    },
+    options
+  );
+}
+
+async function refactorCommand(client, args, options) {
+  const stdin = await readStdin();
+  const instructions = [options.message, stdin.trim()]
+    .filter(Boolean)
+    .join("\n\n");
+  let body;
+  if (options.repo) {
+    body = { repo: options.repo, paths: args, instructions };
+  } else {
+    if (!args.length) throw new UsageError("Name the files to refactor.");
+    body = await uploadBody(
+      args,
+      instructions,
+      options["large-file-mode"] || "chunked"
+    );
+  }
+  await generate(
+    client,
+    "/api/upload",
+    {
+      ...body,
+      sessionId: await sessionFor(client, options),
+      ...(options.profile ? { profile: options.profile } : {}),
+    },
+    options
+  );
+}
+
+async function sessionsCommand(client, args) {
+  const [action, id] = args;
+  if (action === "use") {
+    if (!id) throw new UsageError("unhinged sessions use <id>");
+    const session = await client.json(
+      "GET",
+      `/api/sessions/${encodeURIComponent(id)}`
+    );
+    await saveDirectorySession(client.baseUrl, session.id);
+    console.log(`Using ${session.id} (${session.title || "untitled"}) here.`);
+    return;
+  }
+  if (action === "reset") {
+    await saveDirectorySession(client.baseUrl, null);
+    console.log("The next prompt here starts a new session.");
+    return;
+  }
+  if (action) throw new UsageError(`Unknown sessions action '${action}'.`);
+
+  const current = await directorySession(client.baseUrl);
+  const { sessions } = await client.json("GET", "/api/sessions");
+  if (!sessions.length) console.log("No sessions.");
+  for (const s of sessions) {
+    const when = new Date(s.updatedAt)
+      .toISOString()
+      .slice(0, 16)
+      .replace("T", " ");
+    console.log(
+      `${s.id === current ? "*" : " "} ${s.id}  ${when}  ` +
+        `${s.messageCount} msg  ${s.title || "(untitled)"}`
+    );
+  }
+}
+
+async function exportCommand(client, args, options) {
+  if (!options.out) throw new UsageError("unhinged export --out <dir>");
+  const sessionId = await sessionFor(client, options);
+  if (!sessionId) throw new Error("No session in this directory yet.");
+
+  const body = { sessionId };
+  if (options.workspace) body.workspace = true;
+  if (options["message-index"] !== undefined) {
+    body.messageIndex = Number(options["message-index"]);
+  }
+  const { entries } = readZip(await client.buffer("POST", "/api/export", body));
+  await writeFiles(
+    entries.map((e) => ({ path: e.path, content: e.data.toString("utf8") })),
+    [],
+    { outDir: options.out, dryRun: !!options["dry-run"] }
+  );
+}
+
+const COMMANDS = {
+  chat: chatCommand,
+  refactor: refactorCommand,
+  sessions: sessionsCommand,
+  export: exportCommand,
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values: options, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`Unknown command '${command}'.\n\n${USAGE}`);
+    return 2;
+  }
+
+  const client = createClient({
+    url: options.url || process.env.UNHINGED_URL || "http://localhost:3000",
+    token: options.token || process.env.UNHINGED_TOKEN || "",
+  });
+  try {
+    await run(client, args, options);
+    return 0;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,180 @@
+// context-budget.mjs
+//
+// Keeps what we send to the model inside its context window.
+//
+// Session history is never modified here: compactMessages() returns a
+// trimmed copy for one API call, and the full history stays in the store.
+//
+// Compaction, applied oldest-first and only as far as needed:
+//   1. Older uploaded file bodies collapse to a short reference stub.
+//   2. Oldest messages are dropped and replaced by one note listing the
+//      prompts that were removed.
+// The latest user turn is always sent untouched.
+
+// Rough but conservative for code: real tokenizers average ~4 chars/token on
+// prose and less on dense source.
+const CHARS_PER_TOKEN = 3.5;
+// Role markers and message framing cost a few tokens each.
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// contextTokens: model window. reservedOutputTokens: room left for the reply.
+const DEFAULT_BUDGETS = {
+  "gpt-5.1-codex-max": { contextTokens: 400000, reservedOutputTokens: 128000 },
+  "gpt-5.1-chat-latest": { contextTokens: 128000, reservedOutputTokens: 16384 },
+  "gpt-4.1": { contextTokens: 1000000, reservedOutputTokens: 32768 },
+  "*": { contextTokens: 128000, reservedOutputTokens: 16384 },
+};
+
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+// Roughly how many characters fit in `tokens`.
+export function tokensToChars(tokens) {
+  return Math.floor(tokens * CHARS_PER_TOKEN);
+}
+
+function messageTokens(m) {
+  return estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function totalTokens(messages, systemTokens) {
+  return messages.reduce((sum, m) => sum + messageTokens(m), systemTokens);
+}
+
+// Budget table from defaults plus an optional JSON override, e.g.
+// CONTEXT_BUDGETS='{"gpt-4.1":{"contextTokens":200000}}'.
+export function loadContextBudgets(json) {
+  const budgets = { ...DEFAULT_BUDGETS };
+  if (!json) return budgets;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`CONTEXT_BUDGETS is not valid JSON: ${err.message}`);
+  }
+
+  for (const [model, value] of Object.entries(overrides || {})) {
+    budgets[model] = { ...(budgets[model] || budgets["*"]), ...value };
+  }
+  return budgets;
+}
+
+// Input-token budget for `model`: its window minus the reserved output.
+export function inputBudgetFor(budgets, model) {
+  const { contextTokens, reservedOutputTokens = 0 } =
+    budgets[model] || budgets["*"];
+  return Math.max(0, contextTokens - reservedOutputTokens);
+}
+
+// Upload messages carry `upload: { fileName, chars }` (see server.mjs).
+function isUpload(m) {
+  return m.role === "user" && m.upload && !m.compacted;
+}
+
+function uploadStub(m) {
+  const { fileName = "unknown file", chars } = m.upload;
+  const size = typeof chars === "number" ? ` (${chars} chars)` : "";
+  return {
+    ...m,
+    compacted: true,
+    content:
+      `[Earlier upload of ${fileName}${size} collapsed to save context. ` +
+      `Its full contents were sent in a previous turn; rely on your earlier ` +
+      `answer about it or ask the user to re-upload if you need the original.]`,
+  };
+}
+
+function droppedNote(dropped) {
+  const prompts = dropped
+    .filter((m) => m.role === "user")
+    .map((m) => {
+      const line =
+        String(m.content)
+          .split(/\r?\n/)
+          .map((l) => l.trim())
+          .find(Boolean) || "(empty)";
+      return `- ${line.length > 100 ? `${line.slice(0, 99)}…` : line}`;
+    });
+
+  const shown = prompts.slice(-20);
+  const hidden = prompts.length - shown.length;
+
+  return {
+    role: "system",
+    content: [
+      `[${dropped.length} earlier message(s) in this session were removed to fit the context window.]`,
+      shown.length ? "Earlier user requests, oldest first:" : "",
+      hidden > 0 ? `- …and ${hidden} more` : "",
+      ...shown,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  };
+}
+
+/**
+ * Trim `messages` to fit `budgetTokens` alongside `systemPrompt`.
+ *
+ * Returns { messages, compactedTurns, estimatedTokens, budgetTokens,
+ * overBudget }. `compactedTurns` counts stubbed uploads plus dropped
+ * messages; `overBudget` means even the latest user turn alone does not fit.
+ */
+export function compactMessages(messages, { budgetTokens, systemPrompt = "" }) {
+  const systemTokens = estimateTokens(systemPrompt) + MESSAGE_OVERHEAD_TOKENS;
+  let working = messages.map((m) => ({ ...m }));
+
+  const fits = () => totalTokens(working, systemTokens) <= budgetTokens;
+
+  if (fits()) {
+    return {
+      messages: working,
+      compactedTurns: 0,
+      estimatedTokens: totalTokens(working, systemTokens),
+      budgetTokens,
+      overBudget: false,
+    };
+  }
+
+  let lastUser = -1;
+  for (let i = working.length - 1; i >= 0; i--) {
+    if (working[i].role === "user") {
+      lastUser = i;
+      break;
+    }
+  }
+
+  // 1) Collapse older uploads, oldest first.
+  for (let i = 0; i < lastUser && !fits(); i++) {
+    if (isUpload(working[i])) {
+      working[i] = uploadStub(working[i]);
+    }
+  }
+
+  // 2) Drop oldest messages, keeping everything from the latest user turn on.
+  const dropped = [];
+  let kept = working;
+  const withNote = () =>
+    dropped.length ? [droppedNote(dropped), ...kept] : kept;
+  while (
+    dropped.length < lastUser &&
+    totalTokens(withNote(), systemTokens) > budgetTokens
+  ) {
+    dropped.push(kept[0]);
+    kept = kept.slice(1);
+  }
+  working = withNote();
+
+  // A stub that was later dropped only counts once.
+  const stubbed = kept.filter((m) => m.compacted).length;
+  const estimatedTokens = totalTokens(working, systemTokens);
+  return {
+    messages: working,
+    compactedTurns: stubbed + dropped.length,
+    estimatedTokens,
+    budgetTokens,
+    overBudget: estimatedTokens > budgetTokens,
+  };
+}
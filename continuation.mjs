@@ -0,0 +1,95 @@
+// continuation.mjs
+//
+// Helpers for replies that stop because they hit the output token limit
+// (Responses status "incomplete", chat finish_reason "length"). The server
+// asks the same model to carry on from where it stopped, and the pieces are
+// joined here. Models often repeat the last few lines, or reopen the code
+// fence they were in, when continuing; stitchContinuation() drops that.
+
+export const CONTINUE_PROMPT = `
+Your previous reply was cut off because it reached the output limit.
+Continue EXACTLY where you stopped, starting with the very next character.
+Do not repeat anything you already wrote, do not restart the current file, do not add a preamble, and do not open a new code fence unless the cut happened outside one.
+`.trim();
+
+// Streaming holds back this much of a continuation before passing it on, so
+// repeated text can be dropped before the client ever sees it.
+const STITCH_WINDOW = 2000;
+
+// Shorter overlaps are only trusted when they redo the whole cut-off last
+// line (the model restarted it from its beginning).
+const MIN_OVERLAP = 20;
+
+// The messages for the next call: the conversation so far, the partial
+// reply, and the request to go on.
+export function continuationMessages(messages, partial) {
+  return [
+    ...messages,
+    { role: "assistant", content: partial },
+    { role: "user", content: CONTINUE_PROMPT },
+  ];
+}
+
+function insideFence(text) {
+  return (text.match(/^\s*(`{3,}|~{3,})/gm) || []).length % 2 === 1;
+}
+
+/**
+ * The part of `next` to append to `previous`: without a reopened code fence
+ * (when `previous` stopped inside one) and without text that repeats the
+ * end of `previous`.
+ */
+export function stitchContinuation(previous, next) {
+  let text = String(next || "");
+
+  if (insideFence(previous)) {
+    text = text.replace(/^\s*(`{3,}|~{3,})[^\n]*\n/, "");
+  }
+
+  const lastLine = previous.slice(previous.lastIndexOf("\n") + 1);
+  const longest = Math.min(previous.length, text.length, STITCH_WINDOW);
+  for (let k = longest; k > 0; k--) {
+    const redoesLastLine = k >= lastLine.length && lastLine.trim();
+    if (k < MIN_OVERLAP && !redoesLastLine) break;
+    if (previous.endsWith(text.slice(0, k))) {
+      return text.slice(k);
+    }
+  }
+  return text;
+}
+
+/**
+ * Streaming version: push() the continuation's deltas as they arrive;
+ * onText gets the stitched text (the first STITCH_WINDOW characters are
+ * held back until they can be checked). finish() flushes and returns
+ * everything that was appended.
+ */
+export function createStitcher(previous, onText = () => {}) {
+  let head = "";
+  let appended = "";
+  let flushed = false;
+
+  const flush = () => {
+    flushed = true;
+    const text = stitchContinuation(previous, head);
+    appended += text;
+    if (text) onText(text);
+  };
+
+  return {
+    push(delta) {
+      if (flushed) {
+        appended += delta;
+        onText(delta);
+        return;
+      }
+      head += delta;
+      if (head.length >= STITCH_WINDOW) flush();
+    },
+
+    finish() {
+      if (!flushed) flush();
+      return appended;
+    },
+  };
+}
@@ -0,0 +1,213 @@
+// diff.mjs
+//
+// Line diffs for comparing an uploaded file with the model's version.
+// Shared by index.html (diff view, per-hunk accept/reject) and tests, so it
+// must stay free of Node imports.
+//
+// Texts are compared line by line with CRLF treated as LF. Both sides are
+// treated as newline-terminated, so patches never carry "\ No newline at end
+// of file" markers.
+
+// Myers keeps one snapshot per edit step; past this many edits the files
+// are treated as fully rewritten instead.
+const MAX_EDITS = 2000;
+
+export function splitLines(text) {
+  const s = String(text ?? "").replace(/\r\n/g, "\n");
+  if (!s) return [];
+  return (s.endsWith("\n") ? s.slice(0, -1) : s).split("\n");
+}
+
+// Shortest edit script between a and b (Myers), or null past maxEdits.
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= limit && found < 0; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+  if (found < 0) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d >= 0; d--) {
+    const snap = trace[d];
+    const at = (k) => snap[k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: " ", text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: "+", text: b[prevY] });
+      else ops.push({ type: "-", text: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Line operations turning `oldLines` into `newLines`:
+ * [{ type: " " | "-" | "+", text }].
+ */
+export function diffLines(oldLines, newLines, { maxEdits = MAX_EDITS } = {}) {
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < oldLines.length - start &&
+    end < newLines.length - start &&
+    oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const a = oldLines.slice(start, oldLines.length - end);
+  const b = newLines.slice(start, newLines.length - end);
+  const middle = myers(a, b, maxEdits) || [
+    ...a.map((text) => ({ type: "-", text })),
+    ...b.map((text) => ({ type: "+", text })),
+  ];
+
+  const same = (text) => ({ type: " ", text });
+  return [
+    ...oldLines.slice(0, start).map(same),
+    ...middle,
+    ...oldLines.slice(oldLines.length - end).map(same),
+  ];
+}
+
+/**
+ * Group a diff into unified-diff hunks with `context` unchanged lines around
+ * each change.
+ *
+ * Returns [{ oldStart, oldLines, newStart, newLines, lines }] where starts
+ * are 1-based as in a patch header (the line before, for an empty side) and
+ * `lines` are { type, text } ops.
+ */
+export function buildHunks(oldText, newText, { context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Old/new line index before each op.
+  const positions = [];
+  let oi = 0;
+  let ni = 0;
+  for (const op of ops) {
+    positions.push({ oi, ni });
+    if (op.type !== "+") oi++;
+    if (op.type !== "-") ni++;
+  }
+
+  const changed = [];
+  ops.forEach((op, i) => {
+    if (op.type !== " ") changed.push(i);
+  });
+
+  const hunks = [];
+  let i = 0;
+  while (i < changed.length) {
+    let from = Math.max(0, changed[i] - context);
+    let last = changed[i];
+    // Merge changes whose context would touch or overlap.
+    while (i + 1 < changed.length && changed[i + 1] - last <= 2 * context + 1) {
+      last = changed[++i];
+    }
+    const to = Math.min(ops.length, last + context + 1);
+    i++;
+
+    const lines = ops.slice(from, to);
+    const oldLines = lines.filter((l) => l.type !== "+").length;
+    const newLines = lines.filter((l) => l.type !== "-").length;
+    const { oi: oldIndex, ni: newIndex } = positions[from];
+    hunks.push({
+      oldStart: oldLines ? oldIndex + 1 : oldIndex,
+      oldLines,
+      newStart: newLines ? newIndex + 1 : newIndex,
+      newLines,
+      lines,
+    });
+  }
+  return hunks;
+}
+
+/**
+ * Apply the hunks marked true in `accepted` to `oldText`; rejected hunks
+ * keep the original lines. Hunks must come from buildHunks(oldText, ...).
+ */
+export function applyHunks(oldText, hunks, accepted) {
+  const oldLines = splitLines(oldText);
+  const out = [];
+  let next = 0; // next original line not yet copied
+
+  hunks.forEach((hunk, i) => {
+    const from = hunk.oldLines ? hunk.oldStart - 1 : hunk.oldStart;
+    out.push(...oldLines.slice(next, from));
+    const keep = accepted[i] ? "-" : "+";
+    for (const line of hunk.lines) {
+      if (line.type !== keep) out.push(line.text);
+    }
+    next = from + hunk.oldLines;
+  });
+  out.push(...oldLines.slice(next));
+
+  return out.length ? `${out.join("\n")}\n` : "";
+}
+
+function range(start, count) {
+  return `${start},${count}`;
+}
+
+/**
+ * Standard unified patch for [{ path, hunks }] (one section per file,
+ * a/ and b/ prefixes as git produces). Files without hunks are left out.
+ */
+export function formatPatch(files) {
+  const out = [];
+  for (const { path, hunks } of files) {
+    if (!hunks.length) continue;
+    out.push(`--- a/${path}`, `+++ b/${path}`);
+    for (const h of hunks) {
+      out.push(
+        `@@ -${range(h.oldStart, h.oldLines)} +${range(h.newStart, h.newLines)} @@`
+      );
+      for (const line of h.lines) out.push(`${line.type}${line.text}`);
+    }
+  }
+  return out.length ? `${out.join("\n")}\n` : "";
+}
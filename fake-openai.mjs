@@ -0,0 +1,314 @@
+// fake-openai.mjs
+//
+// Tiny local stand-in for the two OpenAI endpoints server.mjs uses:
+// - POST /v1/responses          (plain JSON or SSE when stream: true)
+// - POST /v1/chat/completions   (plain JSON or SSE when stream: true)
+//
+// Point the backend at it with OPENAI_BASE_URL=<fake.url>. Replies are
+// deterministic so tests can assert on them. Every request is recorded in
+// `fake.calls` as { endpoint, body }.
+//
+// Behavior can be forced from the prompt itself by putting a directive in
+// the latest user message:
+//   [fake:responses-error]   /v1/responses answers 400
+//   [fake:responses-empty]   /v1/responses returns no text
+//   [fake:empty]             both endpoints return no text
+//   [fake:coverage-verdicts] the reply is a JSON verdict marking every
+//                            checklist item ("F1 [feature] ...") implemented
+//   [fake:edit]              the reply is edit-mode output: a SEARCH/REPLACE
+//                            block that bumps src/world.js's answer to 43
+//                            and one against src/hello.js that never matches
+//   [fake:truncate=N]        the usual reply is cut into N + 1 parts at line
+//                            ends (each part keeps its trailing newline),
+//                            all but the last reported as stopped at the
+//                            output limit. Each call answers with the part
+//                            after the assistant text already sent back
+//                            since the directive.
+
+import http from "node:http";
+
+function lastUserText(messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  for (let i = list.length - 1; i >= 0; i--) {
+    const m = list[i];
+    if (m && m.role === "user") {
+      return typeof m.content === "string" ? m.content : JSON.stringify(m.content);
+    }
+  }
+  return "";
+}
+
+export function fakeReplyText(model, prompt) {
+  if (String(prompt).includes("[fake:empty]")) return "";
+
+  if (String(prompt).includes("[fake:coverage-verdicts]")) {
+    const ids = [...String(prompt).matchAll(/^([FN]\d+) \[/gm)].map((m) => m[1]);
+    return JSON.stringify(
+      ids.map((id) => ({ id, status: "implemented", note: "Fake verdict." }))
+    );
+  }
+
+  if (String(prompt).includes("[fake:edit]")) {
+    return [
+      "// edit: src/world.js",
+      "<<<<<<< SEARCH",
+      "export const answer = 42;",
+      "=======",
+      "export const answer = 43;",
+      ">>>>>>> REPLACE",
+      "// edit: src/hello.js",
+      "<<<<<<< SEARCH",
+      "export const missing = true;",
+      "=======",
+      "export const missing = false;",
+      ">>>>>>> REPLACE",
+    ].join("\n");
+  }
+
+  const firstLine = String(prompt).split(/\r?\n/)[0].slice(0, 80);
+  return [
+    `Fake reply from ${model}.`,
+    "// file: src/hello.js",
+    `export const prompt = ${JSON.stringify(firstLine)};`,
+    "// file: src/world.js",
+    "export const answer = 42;",
+  ].join("\n");
+}
+
+// { text, truncated } for a [fake:truncate=N] conversation, or null.
+function truncatedReply(model, messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const re = /\[fake:truncate=(\d+)\]/;
+  const at = list.findLastIndex(
+    (m) => m?.role === "user" && re.test(String(m.content))
+  );
+  if (at < 0) return null;
+
+  const cuts = Number(String(list[at].content).match(re)[1]);
+  const full = fakeReplyText(model, list[at].content);
+  const size = Math.ceil(full.length / (cuts + 1));
+  // Part k starts at the first line after k * size characters.
+  const starts = [0];
+  for (let k = 1; k <= cuts; k++) {
+    const lineEnd = full.indexOf("\n", Math.max(k * size, starts[k - 1]));
+    starts.push(lineEnd < 0 ? full.length : lineEnd + 1);
+  }
+  starts.push(full.length);
+
+  const written = list
+    .slice(at + 1)
+    .filter((m) => m.role === "assistant")
+    .map((m) => String(m.content))
+    .join("");
+  const part = starts.findIndex((start) => start >= written.length);
+  if (part < 0 || part > cuts) return null;
+
+  return {
+    text: full.slice(starts[part], starts[part + 1]),
+    truncated: part < cuts,
+  };
+}
+
+// Split text into a few pieces so streaming clients see several deltas.
+function chunkText(text, size = 16) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += size) {
+    pieces.push(text.slice(i, i + size));
+  }
+  return pieces;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendSse(res, events) {
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  for (const { event, data } of events) {
+    if (event) res.write(`event: ${event}\n`);
+    res.write(`data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+  }
+  res.end();
+}
+
+function usageFor(prompt, text) {
+  const input = Math.ceil(String(prompt).length / 4);
+  const output = Math.ceil(text.length / 4);
+  return { input, output };
+}
+
+function handleResponses(body, res) {
+  const prompt = lastUserText(body.input);
+
+  if (prompt.includes("[fake:responses-error]")) {
+    return sendJson(res, 400, {
+      error: { message: "Fake Responses failure", type: "invalid_request_error" },
+    });
+  }
+
+  const cut = truncatedReply(body.model, body.input);
+  let text = prompt.includes("[fake:responses-empty]")
+    ? ""
+    : fakeReplyText(body.model, prompt);
+  if (cut) text = cut.text;
+  const { input, output } = usageFor(prompt, text);
+
+  const response = {
+    id: "resp_fake",
+    object: "response",
+    model: body.model,
+    status: cut?.truncated ? "incomplete" : "completed",
+    incomplete_details: cut?.truncated ? { reason: "max_output_tokens" } : null,
+    output: text
+      ? [
+          {
+            type: "message",
+            role: "assistant",
+            content: [{ type: "output_text", text, annotations: [] }],
+          },
+        ]
+      : [],
+    usage: {
+      input_tokens: input,
+      output_tokens: output,
+      total_tokens: input + output,
+    },
+  };
+
+  if (!body.stream) {
+    return sendJson(res, 200, response);
+  }
+
+  const events = [
+    {
+      event: "response.created",
+      data: { type: "response.created", response: { ...response, status: "in_progress", output: [] } },
+    },
+    ...chunkText(text).map((delta) => ({
+      event: "response.output_text.delta",
+      data: { type: "response.output_text.delta", delta },
+    })),
+    {
+      event: `response.${response.status}`,
+      data: { type: `response.${response.status}`, response },
+    },
+  ];
+  return sendSse(res, events);
+}
+
+function handleChat(body, res) {
+  const prompt = lastUserText(body.messages);
+  const cut = truncatedReply(body.model, body.messages);
+  const text = cut ? cut.text : fakeReplyText(body.model, prompt);
+  const finishReason = cut?.truncated ? "length" : "stop";
+  const { input, output } = usageFor(prompt, text);
+
+  const usage = {
+    prompt_tokens: input,
+    completion_tokens: output,
+    total_tokens: input + output,
+  };
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id: "chatcmpl_fake",
+      object: "chat.completion",
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: text },
+          finish_reason: finishReason,
+        },
+      ],
+      usage,
+    });
+  }
+
+  const chunk = (delta, finishReason = null) => ({
+    data: {
+      id: "chatcmpl_fake",
+      object: "chat.completion.chunk",
+      model: body.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    },
+  });
+
+  // stream_options.include_usage adds a final chunk with no choices.
+  const usageChunk = body.stream_options?.include_usage
+    ? [
+        {
+          data: {
+            id: "chatcmpl_fake",
+            object: "chat.completion.chunk",
+            model: body.model,
+            choices: [],
+            usage,
+          },
+        },
+      ]
+    : [];
+
+  return sendSse(res, [
+    chunk({ role: "assistant", content: "" }),
+    ...chunkText(text).map((content) => chunk({ content })),
+    chunk({}, finishReason),
+    ...usageChunk,
+    { data: "[DONE]" },
+  ]);
+}
+
+export async function startFakeOpenAI({ port = 0 } = {}) {
+  const calls = [];
+
+  const server = http.createServer(async (req, res) => {
+    let body;
+    try {
+      body = await readJson(req);
+    } catch {
+      return sendJson(res, 400, { error: { message: "Invalid JSON" } });
+    }
+
+    const endpoint = req.url.replace(/\?.*$/, "");
+    calls.push({ endpoint, body });
+
+    if (req.method === "POST" && endpoint.endsWith("/responses")) {
+      return handleResponses(body, res);
+    }
+    if (req.method === "POST" && endpoint.endsWith("/chat/completions")) {
+      return handleChat(body, res);
+    }
+    return sendJson(res, 404, { error: { message: `No fake for ${endpoint}` } });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const { port: actualPort } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${actualPort}/v1`,
+    calls,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
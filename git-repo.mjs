@@ -0,0 +1,464 @@
+// git-repo.mjs
+//
+// Local git repositories the server may touch, from an allow-list
+// (GIT_REPOS, a JSON object of name -> absolute path). Two things happen
+// here, both with the plain `git` binary and no remote:
+//
+//   commitFiles   writes files onto a NEW branch based on HEAD and commits
+//                 them. It goes through a throwaway index and git plumbing
+//                 (hash-object, update-index, write-tree, commit-tree), so
+//                 the repository's working tree, index and checked-out
+//                 branch are never touched.
+//   readFiles     the tracked and untracked (not ignored) files of the
+//                 working tree, for use as upload context.
+//
+// Clients only ever name a repository; paths on the server are never taken
+// from a request. Operations on one repository run one at a time.
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+const MAX_DIFF_CHARS = 200000;
+const MAX_READ_FILES = 2000;
+const MAX_READ_FILE_BYTES = 1024 * 1024;
+const MAX_READ_TOTAL_BYTES = 20 * 1024 * 1024;
+
+const REPO_NAME_RE = /^[\w.-]{1,64}$/;
+
+export class GitError extends Error {
+  // code: "unknown-repo" | "not-a-repo" | "bad-branch" | "branch-exists" |
+  // "unchanged" | "git"
+  constructor(code, message) {
+    super(message);
+    this.name = "GitError";
+    this.code = code;
+  }
+}
+
+/**
+ * Parse GIT_REPOS: { "name": "/absolute/path", ... }. Returns
+ * [{ name, path }]; an unset value means no repositories.
+ */
+export function loadRepoList(json) {
+  if (!json) return [];
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`GIT_REPOS is not valid JSON: ${err.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("GIT_REPOS must be an object of name -> path.");
+  }
+  return Object.entries(raw).map(([name, dir]) => {
+    if (!REPO_NAME_RE.test(name)) {
+      throw new Error(`GIT_REPOS: '${name}' is not a valid repository name.`);
+    }
+    if (typeof dir !== "string" || !path.isAbsolute(dir)) {
+      throw new Error(`GIT_REPOS: the path for '${name}' must be absolute.`);
+    }
+    return { name, path: path.resolve(dir) };
+  });
+}
+
+/**
+ * A branch name for generated changes: "unhinged/<slug of the subject>".
+ */
+export function branchNameFor(subject) {
+  const slug = String(subject || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+    .replace(/-+$/, "");
+  return `unhinged/${slug || "generated"}`;
+}
+
+/**
+ * A commit message: the subject (one line, at most 72 characters), then
+ * where the change came from and the files it touches, as `git
+ * --name-status` letters.
+ */
+export function commitMessageFor({ subject, source, changes }) {
+  let title = String(subject || "").split("\n")[0].replace(/\s+/g, " ").trim();
+  if (!title) title = "Apply generated changes";
+  if (title.length > 72) title = `${title.slice(0, 69).trimEnd()}...`;
+
+  const lines = [title, ""];
+  if (source) lines.push(source, "");
+  for (const change of changes) lines.push(`${change.status} ${change.path}`);
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+// Run git and collect its output; rejects with a GitError on a non-zero
+// exit (stderr as the message) or when `timeoutMs` runs out.
+function git(args, { cwd, env, input, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", args, {
+      cwd,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: "0", ...env },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    const stdout = [];
+    let size = 0;
+    let stderr = "";
+    child.stdout.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_OUTPUT_BYTES) stdout.push(chunk);
+    });
+    child.stderr.setEncoding("utf8").on("data", (chunk) => {
+      if (stderr.length < 4096) stderr += chunk;
+    });
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeoutMs);
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(new GitError("git", `Could not run git: ${err.message}`));
+    });
+    child.on("close", (exitCode) => {
+      clearTimeout(timer);
+      const out = Buffer.concat(stdout).toString("utf8");
+      if (timedOut) {
+        reject(new GitError("git", `git ${args[0]} timed out.`));
+      } else if (exitCode !== 0) {
+        const message = stderr.trim() || `git ${args[0]} exited ${exitCode}`;
+        const error = new GitError("git", message);
+        error.exitCode = exitCode;
+        error.stdout = out;
+        reject(error);
+      } else {
+        resolve(out);
+      }
+    });
+
+    child.stdin.on("error", () => {}); // git may exit before reading
+    child.stdin.end(input ?? "");
+  });
+}
+
+/**
+ * The allow-listed repositories. Options:
+ *   repos      [{ name, path }] (see loadRepoList)
+ *   author     { name, email } for the commits made here
+ *   timeoutMs  per git command
+ */
+export function createGitRepos({
+  repos = [],
+  author = { name: "Unhinged Codex", email: "unhinged-codex@localhost" },
+  timeoutMs = 30000,
+} = {}) {
+  const byName = new Map(repos.map((r) => [r.name, r]));
+  const queues = new Map();
+
+  // One operation per repository at a time.
+  function serialized(name, fn) {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    queues.set(name, next);
+    return next;
+  }
+
+  function repoOrThrow(name) {
+    const repo = typeof name === "string" ? byName.get(name) : null;
+    if (!repo) {
+      throw new GitError("unknown-repo", `Unknown repository '${name}'.`);
+    }
+    return repo;
+  }
+
+  const run = (repo, args, options = {}) =>
+    git(args, { cwd: repo.path, timeoutMs, ...options });
+
+  // The repository's top level must be the configured path itself, so a
+  // folder inside some other repository isn't mistaken for one.
+  async function checkRepo(repo) {
+    let top;
+    try {
+      top = (await run(repo, ["rev-parse", "--show-toplevel"])).trim();
+    } catch {
+      throw new GitError(
+        "not-a-repo",
+        `'${repo.name}' is not a git repository on this server.`
+      );
+    }
+    const [real, expected] = await Promise.all([
+      fs.realpath(top),
+      fs.realpath(repo.path),
+    ]);
+    if (real !== expected) {
+      throw new GitError(
+        "not-a-repo",
+        `'${repo.name}' is not the top level of a git repository.`
+      );
+    }
+  }
+
+  // HEAD's commit, or null in a repository without commits yet.
+  async function headCommit(repo) {
+    try {
+      return (
+        await run(repo, ["rev-parse", "--verify", "--quiet", "HEAD^{commit}"])
+      ).trim();
+    } catch (err) {
+      if (err.exitCode === 1) return null;
+      throw err;
+    }
+  }
+
+  async function branchExists(repo, branch) {
+    try {
+      const ref = `refs/heads/${branch}`;
+      await run(repo, ["show-ref", "--verify", "--quiet", ref]);
+      return true;
+    } catch (err) {
+      if (err.exitCode === 1) return false;
+      throw err;
+    }
+  }
+
+  async function pickBranch(repo, requested, subject) {
+    if (requested !== undefined && requested !== null) {
+      try {
+        if (typeof requested !== "string" || requested.startsWith("-")) {
+          throw new Error("not a name");
+        }
+        await run(repo, ["check-ref-format", `refs/heads/${requested}`]);
+      } catch {
+        throw new GitError(
+          "bad-branch",
+          `'${requested}' is not a valid branch name.`
+        );
+      }
+      if (await branchExists(repo, requested)) {
+        throw new GitError(
+          "branch-exists",
+          `Branch '${requested}' already exists in '${repo.name}'.`
+        );
+      }
+      return requested;
+    }
+    const base = branchNameFor(subject);
+    let branch = base;
+    for (let n = 2; await branchExists(repo, branch); n++) {
+      branch = `${base}-${n}`;
+    }
+    return branch;
+  }
+
+  // { branch, head, clean } of the checked-out work tree.
+  async function status(repo) {
+    await checkRepo(repo);
+    const [branch, head, porcelain] = await Promise.all([
+      run(repo, ["symbolic-ref", "--quiet", "--short", "HEAD"]).catch(
+        () => ""
+      ),
+      headCommit(repo),
+      run(repo, ["status", "--porcelain"]),
+    ]);
+    return {
+      branch: branch.trim() || null,
+      head,
+      clean: porcelain.trim() === "",
+    };
+  }
+
+  return {
+    list() {
+      return repos.map((r) => ({ name: r.name }));
+    },
+
+    has(name) {
+      return byName.has(name);
+    },
+
+    // list() with each repository's status, or the reason it has none.
+    async describe() {
+      return Promise.all(
+        repos.map(async (repo) => {
+          try {
+            return { name: repo.name, ...(await status(repo)) };
+          } catch (err) {
+            return { name: repo.name, error: err.message };
+          }
+        })
+      );
+    },
+
+    /**
+     * Commit `files` ([{ path, content }], paths already checked) on a new
+     * branch off HEAD. `branch` defaults to one named after `subject`;
+     * `message` to one built by commitMessageFor. Returns { repo, branch,
+     * base, commit, message, changes: [{ status, path }], stat, diff,
+     * diffTruncated }.
+     */
+    async commitFiles(name, { files, branch, subject, message, source }) {
+      const repo = repoOrThrow(name);
+      return serialized(name, async () => {
+        await checkRepo(repo);
+        const base = await headCommit(repo);
+        const target = await pickBranch(repo, branch, subject);
+
+        const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "unhinged-git-"));
+        const env = { GIT_INDEX_FILE: path.join(tmp, "index") };
+        try {
+          await run(repo, base ? ["read-tree", base] : ["read-tree", "--empty"], {
+            env,
+          });
+
+          // Keep the mode (executable bit) of files that already exist.
+          const modes = new Map();
+          const staged = await run(repo, ["ls-files", "-s", "-z"], { env });
+          for (const entry of staged.split("\0").filter(Boolean)) {
+            const [info, p] = entry.split("\t");
+            modes.set(p, info.split(" ")[0]);
+          }
+
+          const entries = [];
+          for (const file of files) {
+            const blob = (
+              await run(repo, ["hash-object", "-w", "--stdin"], {
+                input: file.content,
+              })
+            ).trim();
+            const mode = modes.get(file.path) === "100755" ? "100755" : "100644";
+            entries.push(`${mode} ${blob}\t${file.path}`);
+          }
+          await run(
+            repo,
+            ["update-index", "--add", "--replace", "-z", "--index-info"],
+            { env, input: entries.map((e) => `${e}\0`).join("") }
+          );
+          const tree = (await run(repo, ["write-tree"], { env })).trim();
+
+          const from =
+            base ||
+            (await run(repo, ["hash-object", "-t", "tree", "--stdin"])).trim();
+          const nameStatus = await run(repo, [
+            "diff-tree",
+            "-r",
+            "-z",
+            "--name-status",
+            "--no-renames",
+            from,
+            tree,
+          ]);
+          const parts = nameStatus.split("\0").filter(Boolean);
+          const changes = [];
+          for (let i = 0; i + 1 < parts.length; i += 2) {
+            changes.push({ status: parts[i], path: parts[i + 1] });
+          }
+          if (!changes.length) {
+            throw new GitError(
+              "unchanged",
+              `The files are identical to HEAD in '${repo.name}'; ` +
+                "nothing to commit."
+            );
+          }
+
+          const text =
+            message || commitMessageFor({ subject, source, changes });
+          const identity = {
+            GIT_AUTHOR_NAME: author.name,
+            GIT_AUTHOR_EMAIL: author.email,
+            GIT_COMMITTER_NAME: author.name,
+            GIT_COMMITTER_EMAIL: author.email,
+          };
+          const commit = (
+            await run(
+              repo,
+              ["commit-tree", tree, ...(base ? ["-p", base] : []), "-F", "-"],
+              { env: identity, input: text }
+            )
+          ).trim();
+          // The empty old value makes this fail if the branch appeared
+          // meanwhile, instead of moving someone else's branch.
+          await run(repo, ["update-ref", `refs/heads/${target}`, commit, ""]);
+
+          const [stat, diff] = await Promise.all([
+            run(repo, ["diff", "--stat", "--no-color", from, commit]),
+            run(repo, ["diff", "--no-color", "--no-ext-diff", from, commit]),
+          ]);
+          return {
+            repo: repo.name,
+            branch: target,
+            base,
+            commit,
+            message: text,
+            changes,
+            stat: stat.trimEnd(),
+            diff: diff.slice(0, MAX_DIFF_CHARS),
+            diffTruncated: diff.length > MAX_DIFF_CHARS,
+          };
+        } finally {
+          await fs.rm(tmp, { recursive: true, force: true });
+        }
+      });
+    },
+
+    /**
+     * The working tree's files under `paths` (repository-relative; all when
+     * empty), tracked or untracked but not ignored. Symlinks and files over
+     * the size limits are skipped. Returns { files: [{ path, content }],
+     * skipped: [{ path, reason }] }; binary detection is left to the caller.
+     */
+    async readFiles(name, { paths = [] } = {}) {
+      const repo = repoOrThrow(name);
+      return serialized(name, async () => {
+        await checkRepo(repo);
+        const listed = await run(repo, [
+          "--literal-pathspecs",
+          "ls-files",
+          "-z",
+          "--cached",
+          "--others",
+          "--exclude-standard",
+          "--",
+          ...paths,
+        ]);
+        const all = [...new Set(listed.split("\0").filter(Boolean))].sort();
+
+        const files = [];
+        const skipped = [];
+        let total = 0;
+        for (const p of all) {
+          if (files.length >= MAX_READ_FILES) {
+            skipped.push({ path: p, reason: "file limit" });
+            continue;
+          }
+          const full = path.join(repo.path, p);
+          let info;
+          try {
+            info = await fs.lstat(full);
+          } catch {
+            continue; // deleted from the work tree
+          }
+          if (!info.isFile()) {
+            if (info.isSymbolicLink()) {
+              skipped.push({ path: p, reason: "symlink" });
+            }
+            continue;
+          }
+          if (
+            info.size > MAX_READ_FILE_BYTES ||
+            total + info.size > MAX_READ_TOTAL_BYTES
+          ) {
+            skipped.push({ path: p, reason: "too large" });
+            continue;
+          }
+          total += info.size;
+          files.push({ path: p, content: await fs.readFile(full, "utf8") });
+        }
+        return { files, skipped };
+      });
+    },
+  };
+}
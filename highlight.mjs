@@ -0,0 +1,303 @@
+// highlight.mjs
+//
+// Small syntax highlighter for the transcript. Shared with index.html, so it
+// must stay free of Node imports.
+//
+//   languageFor("src/app.ts")       -> "ts" (null when unknown)
+//   highlightCode(code, "ts")       -> HTML: the code, escaped, with
+//                                      <span class="tok-keyword|string|
+//                                      comment|number|tag|attr"> around
+//                                      tokens
+//
+// It only knows comments, strings, numbers, keywords and markup tags: enough
+// to make a reply readable, not a parser. Unknown languages come back
+// escaped and otherwise untouched.
+
+const C_LIKE_COMMENTS = { line: ["//"], block: [["/*", "*/"]] };
+
+const JS_KEYWORDS =
+  "async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield";
+const TS_KEYWORDS =
+  `${JS_KEYWORDS} abstract any as boolean declare enum implements interface keyof namespace never number private protected public readonly string type unknown`;
+
+const LANGUAGES = {
+  js: { ...C_LIKE_COMMENTS, strings: "\"'`", keywords: JS_KEYWORDS },
+  ts: { ...C_LIKE_COMMENTS, strings: "\"'`", keywords: TS_KEYWORDS },
+  json: { strings: '"', keywords: "true false null" },
+  css: {
+    block: [["/*", "*/"]],
+    strings: "\"'",
+    keywords: "important media import supports keyframes font-face",
+  },
+  html: { markup: true },
+  python: {
+    line: ["#"],
+    strings: "\"'",
+    triple: true,
+    keywords:
+      "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+  },
+  ruby: {
+    line: ["#"],
+    strings: "\"'",
+    keywords:
+      "begin class def do else elsif end ensure false if module next nil require rescue return self then true unless until when while yield",
+  },
+  shell: {
+    line: ["#"],
+    strings: "\"'",
+    keywords:
+      "case do done elif else esac exit export fi for function if in local return set then until while",
+  },
+  go: {
+    ...C_LIKE_COMMENTS,
+    strings: "\"'`",
+    keywords:
+      "break case chan const continue default defer else false fallthrough for func go goto if import interface map nil package range return select struct switch true type var",
+  },
+  rust: {
+    ...C_LIKE_COMMENTS,
+    strings: '"',
+    keywords:
+      "as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while",
+  },
+  c: {
+    ...C_LIKE_COMMENTS,
+    strings: "\"'",
+    keywords:
+      "abstract auto bool break case catch char class const continue default delete do double else enum extends extern false final float for if implements import int interface long namespace new null nullptr package private protected public return short signed sizeof static string struct super switch template this throw true try typedef union unsigned using var virtual void volatile while",
+  },
+  php: {
+    line: ["//", "#"],
+    block: [["/*", "*/"]],
+    strings: "\"'",
+    keywords:
+      "array as break case catch class const continue default echo else elseif extends false foreach function if implements interface namespace new null private protected public return static switch this throw true try use while",
+  },
+  sql: {
+    line: ["--"],
+    block: [["/*", "*/"]],
+    strings: "'",
+    caseInsensitive: true,
+    keywords:
+      "alter and as asc by create delete desc distinct drop from group having in index inner insert into is join key left limit not null on or order primary references select set table union update values where",
+  },
+  yaml: { line: ["#"], strings: "\"'", keywords: "true false null yes no" },
+};
+
+const EXTENSIONS = {
+  js: "js",
+  mjs: "js",
+  cjs: "js",
+  jsx: "js",
+  ts: "ts",
+  tsx: "ts",
+  mts: "ts",
+  json: "json",
+  css: "css",
+  scss: "css",
+  less: "css",
+  html: "html",
+  htm: "html",
+  xml: "html",
+  svg: "html",
+  vue: "html",
+  py: "python",
+  rb: "ruby",
+  sh: "shell",
+  bash: "shell",
+  zsh: "shell",
+  go: "go",
+  rs: "rust",
+  c: "c",
+  h: "c",
+  cc: "c",
+  cpp: "c",
+  hpp: "c",
+  cs: "c",
+  java: "c",
+  kt: "c",
+  swift: "c",
+  php: "php",
+  sql: "sql",
+  yml: "yaml",
+  yaml: "yaml",
+};
+
+// Fence info strings ("javascript", "py"...) that aren't extensions.
+const ALIASES = {
+  javascript: "js",
+  typescript: "ts",
+  python: "python",
+  ruby: "ruby",
+  bash: "shell",
+  shell: "shell",
+  sh: "shell",
+  golang: "go",
+  rust: "rust",
+  cpp: "c",
+  csharp: "c",
+  java: "c",
+  markup: "html",
+};
+
+// Names come from replies ("```constructor"), so never read inherited keys.
+function lookup(table, key) {
+  return Object.hasOwn(table, key) ? table[key] : null;
+}
+
+/**
+ * The highlighter language for a file path or fence info string, or null.
+ */
+export function languageFor(pathOrName) {
+  const name = String(pathOrName || "").trim().toLowerCase();
+  if (!name) return null;
+  if (lookup(LANGUAGES, name)) return name;
+  const alias = lookup(ALIASES, name);
+  if (alias) return alias;
+  const base = name.split("/").pop();
+  if (base === "dockerfile" || base === "makefile") return "shell";
+  const ext = base.includes(".") ? base.split(".").pop() : base;
+  return lookup(EXTENSIONS, ext);
+}
+
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function span(type, text) {
+  return `<span class="tok-${type}">${escapeHtml(text)}</span>`;
+}
+
+// Index just past the string opened by `quote` at `start` (or the end of
+// the line / code for an unterminated one).
+function stringEnd(code, start, quote) {
+  let i = start + quote.length;
+  while (i < code.length) {
+    if (code[i] === "\\") {
+      i += 2;
+      continue;
+    }
+    if (code.startsWith(quote, i)) return i + quote.length;
+    if (code[i] === "\n" && quote.length === 1 && quote !== "`") return i;
+    i++;
+  }
+  return code.length;
+}
+
+function highlightMarkup(code) {
+  let out = "";
+  let i = 0;
+  while (i < code.length) {
+    if (code.startsWith("<!--", i)) {
+      const end = code.indexOf("-->", i);
+      const stop = end === -1 ? code.length : end + 3;
+      out += span("comment", code.slice(i, stop));
+      i = stop;
+      continue;
+    }
+    const tag = /^<\/?[A-Za-z][\w:.-]*/.exec(code.slice(i, i + 200));
+    if (tag) {
+      out += span("tag", tag[0]);
+      i += tag[0].length;
+      // Attributes up to the end of the tag.
+      while (i < code.length && code[i] !== ">") {
+        const quote = code[i];
+        if (quote === '"' || quote === "'") {
+          const end = stringEnd(code, i, quote);
+          out += span("string", code.slice(i, end));
+          i = end;
+          continue;
+        }
+        const attr = /^[\w:@.-]+/.exec(code.slice(i, i + 200));
+        if (attr) {
+          out += span("attr", attr[0]);
+          i += attr[0].length;
+          continue;
+        }
+        out += escapeHtml(code[i]);
+        i++;
+      }
+      continue;
+    }
+    out += escapeHtml(code[i]);
+    i++;
+  }
+  return out;
+}
+
+export function highlightCode(code, language) {
+  const text = String(code ?? "");
+  const lang = lookup(LANGUAGES, language);
+  if (!lang) return escapeHtml(text);
+  if (lang.markup) return highlightMarkup(text);
+
+  const keywords = new Set(
+    lang.keywords
+      .split(" ")
+      .map((k) => (lang.caseInsensitive ? k.toLowerCase() : k))
+  );
+  const quotes = lang.strings || "";
+  let out = "";
+  let plain = "";
+  const flush = () => {
+    out += escapeHtml(plain);
+    plain = "";
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    const line = (lang.line || []).find((m) => text.startsWith(m, i));
+    if (line) {
+      const end = text.indexOf("\n", i);
+      const stop = end === -1 ? text.length : end;
+      flush();
+      out += span("comment", text.slice(i, stop));
+      i = stop;
+      continue;
+    }
+    const block = (lang.block || []).find(([open]) => text.startsWith(open, i));
+    if (block) {
+      const end = text.indexOf(block[1], i + block[0].length);
+      const stop = end === -1 ? text.length : end + block[1].length;
+      flush();
+      out += span("comment", text.slice(i, stop));
+      i = stop;
+      continue;
+    }
+    if (quotes.includes(ch)) {
+      const triple = lang.triple && text.startsWith(ch.repeat(3), i);
+      const end = stringEnd(text, i, triple ? ch.repeat(3) : ch);
+      flush();
+      out += span("string", text.slice(i, end));
+      i = end;
+      continue;
+    }
+    // Words and numbers, unless glued to a preceding identifier.
+    if (/[\w$]/.test(ch) && !/[\w$]/.test(text[i - 1] || "")) {
+      const word = /^[\w$]+(?:\.\d+)?/.exec(text.slice(i, i + 200))[0];
+      const key = lang.caseInsensitive ? word.toLowerCase() : word;
+      if (/^\d/.test(word)) {
+        flush();
+        out += span("number", word);
+      } else if (keywords.has(key)) {
+        flush();
+        out += span("keyword", word);
+      } else {
+        plain += word;
+      }
+      i += word.length;
+      continue;
+    }
+    plain += ch;
+    i++;
+  }
+  flush();
+  return out;
+}
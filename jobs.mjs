@@ -0,0 +1,202 @@
+// jobs.mjs
+//
+// In-memory queue for generation jobs.
+//
+// Every generation runs as a job with an id, so it can be looked up and
+// cancelled while the model is still working. Jobs for the same session run
+// at most `perSession` at a time; the rest wait in submission order, so two
+// overlapping requests never interleave messages in one history.
+//
+// A job's run({ id, signal, emit }) does the work. `signal` aborts on
+// cancel; emit(event, data) reports progress ("delta" and "reset" also build
+// up the job's partial text). Finished jobs are forgotten after
+// `keepFinishedMs`.
+
+import crypto from "node:crypto";
+import { createLogger } from "./logger.mjs";
+
+const FINISHED = new Set(["done", "failed", "cancelled"]);
+
+export class JobCancelledError extends Error {
+  constructor(message = "Cancelled.") {
+    super(message);
+    this.name = "JobCancelledError";
+  }
+}
+
+// What clients see of a job.
+export function publicJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    sessionId: job.sessionId,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    text: job.status === "done" ? null : job.text,
+    result: job.result,
+    error: job.error ? job.error.message : null,
+  };
+}
+
+export function createJobQueue({
+  perSession = 1,
+  keepFinishedMs = 60 * 60 * 1000,
+  log = createLogger({ bufferSize: 0 }),
+} = {}) {
+  const jobs = new Map();
+  const running = new Map(); // sessionId -> count
+  const waiting = new Map(); // sessionId -> [job]
+
+  function notify(job, event, data) {
+    for (const listener of job.listeners) {
+      try {
+        listener(event, data);
+      } catch (err) {
+        log.error("Listener failed", { tag: "Jobs", jobId: job.id, err });
+      }
+    }
+  }
+
+  function finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = Date.now();
+    notify(job, "finished", job);
+    job.listeners.clear();
+    job.resolveDone(job);
+
+    setTimeout(() => jobs.delete(job.id), keepFinishedMs).unref();
+  }
+
+  function emitFor(job) {
+    return (event, data) => {
+      if (FINISHED.has(job.status) || job.controller.signal.aborted) return;
+      if (event === "delta") job.text += data?.text || "";
+      else if (event === "reset") job.text = "";
+      else job.progress = { event, ...data };
+      notify(job, event, data);
+    };
+  }
+
+  async function start(job) {
+    running.set(job.sessionId, (running.get(job.sessionId) || 0) + 1);
+    job.status = "running";
+    job.startedAt = Date.now();
+    notify(job, "status", { status: job.status });
+
+    try {
+      const result = await job.run({
+        id: job.id,
+        signal: job.controller.signal,
+        emit: emitFor(job),
+      });
+      if (job.controller.signal.aborted) {
+        finish(job, "cancelled", { error: job.controller.signal.reason });
+      } else {
+        finish(job, "done", { result });
+      }
+    } catch (err) {
+      if (job.controller.signal.aborted) {
+        finish(job, "cancelled", { error: job.controller.signal.reason });
+      } else if (err instanceof JobCancelledError) {
+        // The run gave up by itself, e.g. its session was deleted.
+        finish(job, "cancelled", { error: err });
+      } else {
+        finish(job, "failed", { error: err });
+      }
+    } finally {
+      running.set(job.sessionId, running.get(job.sessionId) - 1);
+      startNext(job.sessionId);
+    }
+  }
+
+  function startNext(sessionId) {
+    const queue = waiting.get(sessionId) || [];
+    while (queue.length && (running.get(sessionId) || 0) < perSession) {
+      start(queue.shift());
+    }
+    if (!queue.length) waiting.delete(sessionId);
+    if (!running.get(sessionId)) running.delete(sessionId);
+  }
+
+  return {
+    // Queue run() for `sessionId`. Returns the job; `job.done` resolves
+    // (never rejects) once it has finished, failed or been cancelled.
+    submit({ kind, sessionId, owner = null, run }) {
+      const job = {
+        id: `job-${crypto.randomUUID()}`,
+        kind,
+        sessionId,
+        owner,
+        status: "queued",
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        progress: null,
+        text: "",
+        result: null,
+        error: null,
+        run,
+        controller: new AbortController(),
+        listeners: new Set(),
+      };
+      job.done = new Promise((resolve) => {
+        job.resolveDone = resolve;
+      });
+      jobs.set(job.id, job);
+
+      const queue = waiting.get(sessionId) || [];
+      queue.push(job);
+      waiting.set(sessionId, queue);
+      startNext(sessionId);
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // Jobs matching every given field, newest first.
+    list({ owner, sessionId } = {}) {
+      return [...jobs.values()]
+        .filter((j) => owner === undefined || j.owner === owner)
+        .filter((j) => sessionId === undefined || j.sessionId === sessionId)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // listener(event, data) gets every emitted event, "status" when the job
+    // starts and "finished" (data = the job) at the end. Returns an
+    // unsubscribe function.
+    subscribe(job, listener) {
+      if (FINISHED.has(job.status)) {
+        listener("finished", job);
+        return () => {};
+      }
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+
+    // Returns false if the job had already finished.
+    cancel(job, reason = "Cancelled.") {
+      if (FINISHED.has(job.status)) return false;
+
+      const error = new JobCancelledError(reason);
+      if (job.status === "queued") {
+        const queue = waiting.get(job.sessionId) || [];
+        queue.splice(queue.indexOf(job), 1);
+        if (!queue.length) waiting.delete(job.sessionId);
+        job.controller.abort(error);
+        finish(job, "cancelled", { error });
+        return true;
+      }
+
+      // The run notices the abort and settles; start() records "cancelled".
+      job.controller.abort(error);
+      return true;
+    },
+  };
+}
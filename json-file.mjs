@@ -0,0 +1,49 @@
+// json-file.mjs
+//
+// One JSON document in one file, for the small stores that read it once
+// and rewrite it whole on every change.
+//
+// Writes go to a temp file that is renamed into place, so a crash never
+// leaves half a document, and are chained so an older snapshot can't land
+// after a newer one.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * `file` is created, with its directory, on the first write. `mode` sets
+ * the file's permissions (e.g. 0o600 for credentials).
+ */
+export function createJsonFile({ file, mode } = {}) {
+  if (!file) throw new Error("createJsonFile needs a 'file'.");
+
+  let pendingWrite = Promise.resolve();
+
+  return {
+    file,
+
+    // The parsed document, or `fallback` while the file doesn't exist.
+    async read(fallback = null) {
+      try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return fallback;
+        throw err;
+      }
+    },
+
+    // Snapshots `value` now; resolves once it is on disk.
+    write(value) {
+      const snapshot = JSON.stringify(value, null, 2);
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          const tmp = `${file}.${process.pid}.tmp`;
+          await fs.writeFile(tmp, snapshot, { encoding: "utf8", mode });
+          await fs.rename(tmp, file);
+        });
+      return pendingWrite;
+    },
+  };
+}
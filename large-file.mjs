@@ -0,0 +1,156 @@
+// large-file.mjs
+//
+// Helpers for refactoring files too big for one model call. The file is
+// split on top-level function/class boundaries, each chunk is refactored in
+// its own call with the same instructions plus an outline of the whole file,
+// and the results are stitched back together (see generateChunked in
+// server.mjs).
+
+// Top-level declarations across the languages people usually upload. Only
+// unindented lines count, so nested functions never split a chunk.
+const BOUNDARY_RE = new RegExp(
+  [
+    String.raw`^(export\s+)?(default\s+)?(async\s+)?function[\s*]`,
+    String.raw`^(export\s+)?(default\s+)?(abstract\s+)?class\s`,
+    String.raw`^(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*(async\s+)?(\(|function|class|[\w$]+\s*=>)`,
+    String.raw`^(export\s+)?(interface|type|enum)\s`,
+    String.raw`^(async\s+)?def\s`,
+    String.raw`^class\s`,
+    String.raw`^func\s`,
+    String.raw`^(pub\s+)?(fn|struct|impl|trait|mod)\s`,
+    String.raw`^(public|private|protected|internal)\s`,
+    String.raw`^[\w$.]+\.prototype\.[\w$]+\s*=`,
+    String.raw`^module\.exports`,
+  ].join("|")
+);
+
+// Comments and decorators directly above a declaration belong to it.
+const LEADING_RE = /^(\/\/|\/\*|\*|#|@|"""|''')/;
+
+export function isBoundaryLine(line) {
+  return BOUNDARY_RE.test(line);
+}
+
+/**
+ * Split `content` into chunks of roughly `targetChars`, cutting only before
+ * top-level declarations (with their leading comments). A stretch with no
+ * boundary that grows past `maxChars` is cut at the last blank line, or at a
+ * line break as a last resort.
+ *
+ * Returns [{ index, startLine, endLine, text }] with 1-based line numbers.
+ * Joining the texts with "\n" reproduces the input.
+ */
+export function splitIntoChunks(
+  content,
+  { targetChars = 60000, maxChars = targetChars * 1.5 } = {}
+) {
+  const lines = String(content).split("\n");
+  const chunks = [];
+
+  const sizeOf = (from, to) =>
+    lines.slice(from, to).reduce((sum, l) => sum + l.length + 1, 0);
+
+  let start = 0; // first line of the current chunk
+  let size = 0; // chars in lines[start..i)
+  let lastBlank = -1;
+
+  const cut = (end) => {
+    chunks.push({
+      index: chunks.length,
+      startLine: start + 1,
+      endLine: end,
+      text: lines.slice(start, end).join("\n"),
+    });
+    start = end;
+    lastBlank = -1;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (i > start && size >= targetChars && isBoundaryLine(line)) {
+      // Leading comments/decorators move with the declaration.
+      let cutAt = i;
+      while (cutAt - 1 > start && LEADING_RE.test(lines[cutAt - 1].trim())) {
+        cutAt--;
+      }
+      cut(cutAt);
+      size = sizeOf(start, i);
+    } else if (i > start && size >= maxChars) {
+      cut(lastBlank > start ? lastBlank + 1 : i);
+      size = sizeOf(start, i);
+    }
+
+    if (!line.trim()) lastBlank = i;
+    size += line.length + 1;
+  }
+
+  if (start < lines.length) cut(lines.length);
+  return chunks;
+}
+
+const IMPORT_RE = /^(import\s|from\s+\S+\s+import|require\(|#include|using\s|package\s)/;
+
+// Top-level declarations and imports, so each chunk call knows what exists
+// elsewhere in the file.
+export function outlineOf(content, { maxLines = 400 } = {}) {
+  const out = [];
+  const lines = String(content).split("\n");
+  for (let i = 0; i < lines.length && out.length < maxLines; i++) {
+    const line = lines[i];
+    if (isBoundaryLine(line) || IMPORT_RE.test(line)) {
+      out.push(`${String(i + 1).padStart(6)}: ${line.slice(0, 160)}`);
+    }
+  }
+  return out.join("\n");
+}
+
+// Models often wrap a fragment in ``` fences or give it a // file: header
+// even when told not to; either would break the stitched file.
+export function cleanChunkOutput(text) {
+  let out = String(text).trim();
+  const fenced = out.match(/^```[^\n]*\n([\s\S]*?)\n?```$/);
+  if (fenced) out = fenced[1];
+  return out.replace(/^\s*\/\/\s*file:.*\n/i, "");
+}
+
+export function chunkPrompt({ fileName, chunk, total, outline, instructions }) {
+  return `
+You are refactoring ONE PART of a large file, part ${chunk.index + 1} of ${total}.
+
+File name: ${fileName}
+This part covers lines ${chunk.startLine}-${chunk.endLine} of the original.
+
+SHARED INSTRUCTIONS (apply to every part):
+${instructions}
+
+OUTLINE OF THE WHOLE FILE (top-level declarations and imports, with line numbers):
+${outline || "(no recognizable declarations)"}
+
+RULES FOR THIS PART:
+- Output ONLY the refactored code for this part. No file headers, no markdown fences, no commentary.
+- Keep every top-level name other parts may use (see the outline) unless the shared instructions say to rename it; if you rename, rename consistently.
+- Do not add imports or declarations that belong to other parts.
+- Your output will be concatenated with the other parts in order, so it must start and end cleanly.
+
+--- BEGIN PART ${chunk.index + 1} OF ${total} ---
+${chunk.text}
+--- END PART ${chunk.index + 1} OF ${total} ---
+  `.trim();
+}
+
+export function consistencyPrompt({ fileName, outline, instructions, total }) {
+  return `
+A large file was refactored in ${total} separate parts that were then concatenated.
+
+File name: ${fileName}
+Shared instructions were:
+${instructions}
+
+OUTLINE OF THE STITCHED RESULT (top-level declarations and imports, with line numbers):
+${outline || "(no recognizable declarations)"}
+
+Check the outline for problems that come from refactoring parts separately: duplicated declarations, names used but no longer declared, imports repeated or missing, inconsistent renames.
+Reply with a short bullet list of concrete issues and how to fix each. If you see none, reply exactly: No cross-part inconsistencies found.
+  `.trim();
+}
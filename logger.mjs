@@ -0,0 +1,120 @@
+// logger.mjs
+//
+// Structured logs: one JSON object per line, on stdout (stderr for warn and
+// error).
+//
+//   {"time":"2026-01-01T12:00:00.000Z","level":"info","tag":"Model",
+//    "msg":"Attempt succeeded","requestId":"...","sessionId":"...",...}
+//
+// child(fields) returns a logger that adds `fields` to every line, which is
+// how a request's correlation id follows it into jobs and model calls. An
+// `err` field is flattened into errorClass / error / status (plus the stack
+// at level "error"). format "pretty" prints "[Tag] msg key=value" instead,
+// for reading by eye. The last `bufferSize` records stay in memory for
+// /api/admin/logs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function errorFields(err, level) {
+  if (!(err instanceof Error)) return { error: String(err) };
+  return {
+    // Subclasses (OpenAI's BadRequestError...) or a custom err.name.
+    errorClass:
+      err.name && err.name !== "Error"
+        ? err.name
+        : err.constructor?.name || "Error",
+    error: err.message,
+    ...(typeof err.status === "number" ? { status: err.status } : {}),
+    ...(level === "error" && err.stack ? { stack: err.stack } : {}),
+  };
+}
+
+function prettyLine(record) {
+  const { time, level, tag, msg, stack, ...fields } = record;
+  const pairs = Object.entries(fields).map(
+    ([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`
+  );
+  return [
+    `${time} ${level.toUpperCase()}`,
+    tag ? `[${tag}]` : null,
+    msg,
+    ...pairs,
+  ]
+    .filter(Boolean)
+    .join(" ") + (stack ? `\n${stack}` : "");
+}
+
+/**
+ * Options: format ("json" | "pretty"), level (lowest level written),
+ * bufferSize (records kept for recent()), write(line, level) (defaults to
+ * stdout / stderr).
+ */
+export function createLogger({
+  format = "json",
+  level = "info",
+  bufferSize = 2000,
+  write,
+} = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(
+      `Unknown log level '${level}' (expected ${Object.keys(LEVELS).join(", ")}).`
+    );
+  }
+  const threshold = LEVELS[level];
+  const buffer = [];
+  const out =
+    write ||
+    ((line, lvl) =>
+      (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(
+        line + "\n"
+      ));
+
+  function emit(lvl, base, msg, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const { err, ...rest } = { ...base, ...fields };
+    const record = {
+      time: new Date().toISOString(),
+      level: lvl,
+      ...(rest.tag ? { tag: rest.tag } : {}),
+      msg,
+      ...rest,
+      ...(err !== undefined ? errorFields(err, lvl) : {}),
+    };
+
+    if (bufferSize > 0) {
+      buffer.push(record);
+      if (buffer.length > bufferSize) buffer.shift();
+    }
+    try {
+      out(format === "pretty" ? prettyLine(record) : JSON.stringify(record), lvl);
+    } catch {
+      // A log line must never take the server down.
+    }
+  }
+
+  function make(base) {
+    return {
+      debug: (msg, fields) => emit("debug", base, msg, fields),
+      info: (msg, fields) => emit("info", base, msg, fields),
+      warn: (msg, fields) => emit("warn", base, msg, fields),
+      error: (msg, fields) => emit("error", base, msg, fields),
+      child: (fields) => make({ ...base, ...fields }),
+
+      // Buffered records matching every given field, oldest first, at most
+      // `limit` of the newest.
+      recent({ sessionId, requestId, level: min, limit = 200 } = {}) {
+        const floor = LEVELS[min] || 0;
+        return buffer
+          .filter(
+            (r) =>
+              (sessionId === undefined || r.sessionId === sessionId) &&
+              (requestId === undefined || r.requestId === requestId) &&
+              LEVELS[r.level] >= floor
+          )
+          .slice(-limit);
+      },
+    };
+  }
+
+  return make({});
+}
@@ -0,0 +1,163 @@
+// markdown.mjs
+//
+// Markdown to HTML for the prose in replies. Shared with index.html, so it
+// must stay free of Node imports.
+//
+// Covers what models actually write: headings, paragraphs, bullet and
+// numbered lists, block quotes, rules, fenced code (highlighted through
+// highlight.mjs), inline code, bold, italics and links. Everything is
+// escaped first; links only keep http(s), mailto and relative targets.
+
+import { escapeHtml, highlightCode, languageFor } from "./highlight.mjs";
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([^`\s]*)?.*$/;
+const CLOSING_FENCE_RE = /^\s*(`{3,}|~{3,})\s*$/;
+
+function closes(line, marker) {
+  const m = line.match(CLOSING_FENCE_RE);
+  return !!m && m[1][0] === marker[0] && m[1].length >= marker.length;
+}
+
+function safeHref(url) {
+  const href = url.trim();
+  if (/^(?:https?:|mailto:)/i.test(href)) return href;
+  // Relative links only; no javascript:, data: and friends.
+  if (!/^[a-z][\w+.-]*:/i.test(href)) return href;
+  return null;
+}
+
+const CODE_SPAN_RE = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g;
+
+// Inline markup in one line (or list item) of text.
+function inline(text) {
+  const codes = [];
+  // Code spans first, so nothing inside them is touched.
+  let out = text.replace(CODE_SPAN_RE, (_, ticks, code) => {
+    codes.push(`<code>${escapeHtml(code.trim())}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+  out = escapeHtml(out)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const href = safeHref(url.replace(/&amp;/g, "&"));
+      if (href === null) return label;
+      return (
+        `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">` +
+        `${label}</a>`
+      );
+    })
+    // Asterisks only: underscores are too common in identifiers.
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, "$1<em>$2</em>");
+  return out.replace(/\u0000(\d+)\u0000/g, (_, n) => codes[Number(n)]);
+}
+
+function codeBlock(lines, info) {
+  const language = languageFor(info);
+  return (
+    `<pre class="md-code"${language ? ` data-language="${language}"` : ""}>` +
+    `<code>${highlightCode(lines.join("\n"), language)}</code></pre>`
+  );
+}
+
+const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * `text` as HTML. Safe to put in innerHTML: no raw HTML from the input gets
+ * through.
+ */
+export function renderMarkdown(text) {
+  const lines = String(text ?? "").split(/\r?\n/);
+  const html = [];
+  let paragraph = [];
+  let list = null; // { ordered, items: [] }
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      html.push(`<p>${paragraph.map(inline).join("<br>")}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      const tag = list.ordered ? "ol" : "ul";
+      const items = list.items.map((item) => `<li>${inline(item)}</li>`);
+      html.push(`<${tag}>${items.join("")}</${tag}>`);
+      list = null;
+    }
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      flush();
+      const marker = fence[1];
+      const body = [];
+      i++;
+      while (i < lines.length && !closes(lines[i], marker)) {
+        body.push(lines[i]);
+        i++;
+      }
+      html.push(codeBlock(body, fence[2] || ""));
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      html.push("<hr>");
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      flush();
+      const quoted = [quote[1]];
+      while (i + 1 < lines.length && /^\s*>/.test(lines[i + 1])) {
+        quoted.push(lines[++i].replace(/^\s*>\s?/, ""));
+      }
+      html.push(
+        `<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`
+      );
+      continue;
+    }
+
+    const item = line.match(LIST_RE);
+    if (item) {
+      flushParagraph();
+      const ordered = /\d/.test(item[2]);
+      if (list && list.ordered !== ordered) flushList();
+      if (!list) list = { ordered, items: [] };
+      list.items.push(item[3]);
+      continue;
+    }
+
+    // A lazy continuation of the last list item.
+    if (list && /^\s+\S/.test(line)) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
+  }
+  flush();
+  return html.join("\n");
+}
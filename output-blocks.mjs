@@ -0,0 +1,251 @@
+// output-blocks.mjs
+//
+// Splits model output into per-file blocks. Shared by server.mjs (ZIP
+// export) and index.html (rendering), so it must stay free of Node imports.
+//
+// Recognized file headers, each alone on its line:
+//   // file: src/app.js
+//   # file: scripts/build.sh
+//   /* file: styles/main.css */
+//   <!-- file: index.html -->
+// and markdown fences that carry a file name:
+//   ```js src/app.js      ```js:src/app.js      ```src/app.js
+//   ```js title="src/app.js"   (also filename= / file=)
+//   a label line right above a plain fence: `src/app.js`, **src/app.js**,
+//   ### src/app.js
+//
+// Text outside any named block (usually the explanation) becomes an untitled
+// block with path null.
+
+const COMMENT_HEADERS = [
+  /^\s*\/\/\s*file:\s*(.+?)\s*$/i,
+  /^\s*#\s*file:\s*(.+?)\s*$/i,
+  /^\s*\/\*\s*file:\s*(.+?)\s*\*\/\s*$/i,
+  /^\s*<!--\s*file:\s*(.+?)\s*-->\s*$/i,
+];
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})(.*)$/;
+const LABEL_RE =
+  /^\s*(?:#{1,6}\s+|[-*]\s+)?(?:\*\*|__)?`?(?:file(?:name)?:\s*)?`?([\w@.\-/]+)`?(?:\*\*|__)?:?\s*$/i;
+
+function looksLikePath(s) {
+  return /^[\w@.\-/]+$/.test(s) && /[./]/.test(s) && /[\w]/.test(s);
+}
+
+function headerPath(line) {
+  for (const re of COMMENT_HEADERS) {
+    const m = line.match(re);
+    if (m) return m[1].replace(/^["'`]|["'`]$/g, "");
+  }
+  return null;
+}
+
+// File name carried by a fence info string, or null.
+function pathFromFenceInfo(info) {
+  const text = info.trim();
+  if (!text) return null;
+
+  const attr = text.match(/\b(?:title|filename|file)=["']?([^"'\s]+)["']?/i);
+  if (attr) return attr[1];
+
+  const colon = text.match(/^[\w+#-]+:(\S+)$/);
+  if (colon && looksLikePath(colon[1])) return colon[1];
+
+  const tokens = text.split(/\s+/);
+  const candidate = tokens.length === 1 ? tokens[0] : tokens[1];
+  return candidate && looksLikePath(candidate) ? candidate : null;
+}
+
+function isClosingFence(line, fence) {
+  const m = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+  return !!m && m[1][0] === fence[0] && m[1].length >= fence.length;
+}
+
+/**
+ * Split `text` into [{ path, content }] in order of appearance. `path` is
+ * null for untitled text. Untitled blocks that are only whitespace are
+ * dropped.
+ */
+export function splitFileBlocks(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  const blocks = [];
+
+  // fence: marker that closes this block (fenced named blocks).
+  // innerFence: an unnamed fence currently open inside the block.
+  let current = { path: null, lines: [], fence: null, innerFence: null };
+
+  const finish = () => {
+    const content = current.lines.join("\n");
+    if (current.path !== null || content.trim()) {
+      blocks.push({ path: current.path, content });
+    }
+  };
+  const start = (path, fence = null) => {
+    finish();
+    current = { path, lines: [], fence, innerFence: null };
+  };
+  const isEmpty = () => current.lines.every((l) => !l.trim());
+
+  for (const line of lines) {
+    // Inside a fenced named block: only its closing fence or another header
+    // (one fence wrapping several files) can end it.
+    if (current.fence) {
+      if (isClosingFence(line, current.fence)) {
+        start(null);
+        continue;
+      }
+      const p = headerPath(line);
+      if (p) {
+        start(p, current.fence);
+        continue;
+      }
+      current.lines.push(line);
+      continue;
+    }
+
+    const p = headerPath(line);
+    if (p) {
+      // A header right inside an unnamed fence: that fence wraps the files.
+      if (current.innerFence && current.path === null) {
+        const wrapper = current.innerFence;
+        const idx = current.lines.length - 1;
+        if (idx >= 0 && FENCE_RE.test(current.lines[idx])) current.lines.pop();
+        start(p, wrapper);
+      } else {
+        start(p);
+      }
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (current.innerFence) {
+      if (isClosingFence(line, current.innerFence)) current.innerFence = null;
+      current.lines.push(line);
+      continue;
+    }
+    if (!fence) {
+      current.lines.push(line);
+      continue;
+    }
+
+    const marker = fence[1];
+    const named = pathFromFenceInfo(fence[2]);
+    if (named) {
+      start(named, marker);
+      continue;
+    }
+
+    // Plain fence with a file-name label on the line above.
+    if (current.path === null) {
+      let idx = current.lines.length - 1;
+      while (idx >= 0 && !current.lines[idx].trim()) idx--;
+      const label = idx >= 0 && current.lines[idx].match(LABEL_RE);
+      if (label && looksLikePath(label[1])) {
+        current.lines.splice(idx);
+        start(label[1], marker);
+        continue;
+      }
+    }
+
+    // A fence directly under a comment header just wraps that file's code.
+    if (current.path !== null && isEmpty()) {
+      current.lines = [];
+      current.fence = marker;
+      continue;
+    }
+
+    current.innerFence = marker;
+    current.lines.push(line);
+  }
+
+  finish();
+  return blocks;
+}
+
+/**
+ * Clean a model-supplied path for writing to disk, or return null if it is
+ * unsafe (absolute, drive-qualified, home-relative, escaping with "..", or
+ * containing control characters).
+ */
+export function safeRelativePath(p) {
+  const raw = String(p || "").trim();
+  if (!raw || raw.length > 260) return null;
+  if (/[\u0000-\u001f]/.test(raw)) return null;
+
+  const unified = raw.replace(/\\/g, "/");
+  if (unified.startsWith("/") || unified.startsWith("~")) return null;
+  if (/^[a-zA-Z]:/.test(unified)) return null;
+
+  const parts = unified.split("/").filter((s) => s && s !== ".");
+  if (!parts.length || parts.includes("..")) return null;
+  return parts.join("/");
+}
+
+/**
+ * Files to export from assistant text.
+ *
+ * Named blocks keep their declared path (a later block with the same path
+ * replaces the earlier one). Untitled text is gathered into README.md, or
+ * NOTES.md when the output already has a README.md.
+ *
+ * Returns { files: [{ path, content }], rejected: [{ path, reason }] }.
+ */
+export function filesForExport(text) {
+  const byPath = new Map();
+  const rejected = [];
+  const notes = [];
+
+  for (const block of splitFileBlocks(text)) {
+    if (block.path === null) {
+      notes.push(block.content.trim());
+      continue;
+    }
+    const safe = safeRelativePath(block.path);
+    if (!safe) {
+      rejected.push({ path: block.path, reason: "unsafe path" });
+      continue;
+    }
+    byPath.set(safe, block.content.replace(/^\n+/, ""));
+  }
+
+  const files = [...byPath].map(([path, content]) => ({
+    path,
+    content: content.endsWith("\n") ? content : `${content}\n`,
+  }));
+
+  const noteText = notes.filter(Boolean).join("\n\n");
+  if (noteText) {
+    let name = "README.md";
+    if (byPath.has(name)) name = "NOTES.md";
+    for (let n = 2; byPath.has(name); n++) name = `NOTES-${n}.md`;
+    files.unshift({ path: name, content: `${noteText}\n` });
+  }
+
+  return { files, rejected };
+}
+
+/**
+ * Files to write into an existing project, such as a git commit: the named
+ * blocks only, last copy of a path winning. Unlike filesForExport, untitled
+ * text never becomes a README, and nothing may land inside .git.
+ *
+ * Returns { files: [{ path, content }], rejected: [{ path, reason }] }.
+ */
+export function filesToWrite(text) {
+  const byPath = new Map();
+  const rejected = [];
+  for (const block of splitFileBlocks(text)) {
+    if (block.path === null) continue;
+    const safe = safeRelativePath(block.path);
+    if (!safe || safe.split("/").includes(".git")) {
+      rejected.push({ path: block.path, reason: "unsafe path" });
+      continue;
+    }
+    const content = block.content.replace(/^\n+/, "");
+    byPath.set(safe, content.endsWith("\n") ? content : `${content}\n`);
+  }
+  return {
+    files: [...byPath].map(([path, content]) => ({ path, content })),
+    rejected,
+  };
+}
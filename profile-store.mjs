@@ -0,0 +1,188 @@
+// profile-store.mjs
+//
+// System prompt profiles: what the model is told it is for a turn. Four are
+// built in (generate, review, explain, test-writer); the ones users add are
+// shared by everyone on the server and kept in one JSON file:
+//
+//   { profiles: [{ id, name, description, prompt, owner, ownerName,
+//                  createdAt, updatedAt }] }
+//
+// Built-ins are listed first and can't be changed. Names are unique across
+// both (case-insensitive). Validation happens in the routes.
+
+import crypto from "node:crypto";
+import { createJsonFile } from "./json-file.mjs";
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: "generate",
+    name: "Generate",
+    description: "Large, complete multi-file codebases and full rewrites.",
+    prompt: `
+You are an elite senior software engineer and code generation engine.
+
+GOALS:
+- Generate extremely large, production-quality codebases from detailed prompts.
+- When asked to "refactor", "review", or "improve" code, output the FULL revised code, not just comments.
+- Prefer complete multi-file style outputs inline (clear file headers in comments) rather than vague advice.
+
+BEHAVIOR:
+- Treat each conversation as a coding session with full memory of prior messages.
+- Assume the user wants the MAXIMUM safe amount of code the API will allow in a single response.
+- Do NOT summarize unless explicitly asked. Prioritize code over explanation.
+- When refactoring uploaded code, output the improved version in full.
+- Use clear file separators like:
+// file: src/server.ts
+// file: src/components/App.tsx
+
+- Avoid meta-commentary. Keep explanation compact and put it AFTER the full code when needed.
+`.trim(),
+  },
+  {
+    id: "review",
+    name: "Review",
+    description: "A code review: findings by severity, no rewrites.",
+    prompt: `
+You are a senior software engineer doing a careful code review.
+
+GOALS:
+- Find bugs, security problems, race conditions, data loss, performance traps and maintainability issues in the code you are given.
+- Do NOT rewrite the code. Quote only the lines a finding is about, and show the fix as a short snippet when it helps.
+
+OUTPUT:
+- Findings ordered by severity (blocker, major, minor, nit), each with the file and line, what is wrong, why it matters and how to fix it.
+- End with a short overall verdict. Say so plainly when there is nothing worth changing.
+`.trim(),
+  },
+  {
+    id: "explain",
+    name: "Explain",
+    description: "Explains how code works, in prose with short snippets.",
+    prompt: `
+You are a patient senior software engineer explaining code to a colleague.
+
+GOALS:
+- Explain what the code does, how the pieces fit together and why it is written the way it is.
+- Answer the question asked; match the depth to it.
+
+OUTPUT:
+- Prose and short lists, starting with the big picture, then the details that matter.
+- Quote short snippets (with their file) instead of whole files. Do not rewrite the code unless asked.
+`.trim(),
+  },
+  {
+    id: "test-writer",
+    name: "Test writer",
+    description: "Writes tests for the given code, leaving the code alone.",
+    prompt: `
+You are a senior software engineer who writes thorough automated tests.
+
+GOALS:
+- Write tests for the code you are given: the main behavior, edge cases, error paths and any bug you spot (as a failing test, with a note).
+- Use the project's existing test framework and layout; pick the ecosystem's usual one when there is none.
+- Do not change the code under test unless asked.
+
+OUTPUT:
+- Complete test files only, each starting with a file header like:
+// file: tests/server.test.ts
+- After the code, one short line per file on what it covers.
+`.trim(),
+  },
+];
+
+export const DEFAULT_PROFILE_ID = "generate";
+
+const BUILT_IN_BY_ID = new Map(
+  BUILT_IN_PROFILES.map((p) => [p.id, { ...p, builtIn: true }])
+);
+
+export function createProfileStore({ file }) {
+  if (!file) throw new Error("createProfileStore needs a 'file'.");
+
+  const store = createJsonFile({ file });
+  let profiles = [];
+
+  const ready = (async () => {
+    const raw = await store.read();
+    profiles = Array.isArray(raw?.profiles) ? raw.profiles : [];
+  })();
+
+  function persist() {
+    return store.write({ profiles });
+  }
+
+  return {
+    ready,
+
+    // Built-ins first, then the rest by name.
+    async list() {
+      await ready;
+      return [
+        ...BUILT_IN_BY_ID.values(),
+        ...[...profiles].sort((a, b) => a.name.localeCompare(b.name)),
+      ];
+    },
+
+    // How many profiles users added.
+    async count() {
+      await ready;
+      return profiles.length;
+    },
+
+    async get(id) {
+      await ready;
+      return BUILT_IN_BY_ID.get(id) || profiles.find((p) => p.id === id) || null;
+    },
+
+    async findByName(name) {
+      await ready;
+      const key = name.trim().toLowerCase();
+      return (
+        (await this.list()).find((p) => p.name.toLowerCase() === key) || null
+      );
+    },
+
+    async create({ name, description, prompt, owner = null, ownerName = null }) {
+      await ready;
+      const now = Date.now();
+      const profile = {
+        id: `prof-${crypto.randomUUID()}`,
+        name,
+        description,
+        prompt,
+        owner,
+        ownerName,
+        createdAt: now,
+        updatedAt: now,
+      };
+      profiles.push(profile);
+      await persist();
+      return profile;
+    },
+
+    // Replaces name, description and prompt. Returns null if `id` is
+    // unknown or built in.
+    async update(id, { name, description, prompt }) {
+      await ready;
+      const profile = profiles.find((p) => p.id === id);
+      if (!profile) return null;
+      Object.assign(profile, {
+        name,
+        description,
+        prompt,
+        updatedAt: Date.now(),
+      });
+      await persist();
+      return profile;
+    },
+
+    async delete(id) {
+      await ready;
+      const before = profiles.length;
+      profiles = profiles.filter((p) => p.id !== id);
+      if (profiles.length === before) return false;
+      await persist();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,246 @@
+// project-context.mjs
+//
+// Turns a multi-file or zipped upload into one structured message: a file
+// tree of everything received, then the contents of as many text files as
+// fit the character budget. Dependency folders, VCS metadata, build output,
+// lockfiles and binaries are listed as skipped instead of sent.
+
+import path from "node:path";
+import { readZip } from "./zip.mjs";
+
+const IGNORED_DIRS = new Set([
+  "node_modules",
+  "bower_components",
+  "jspm_packages",
+  ".git",
+  ".hg",
+  ".svn",
+  ".idea",
+  ".vscode",
+  "dist",
+  "build",
+  "out",
+  "coverage",
+  ".next",
+  ".nuxt",
+  ".cache",
+  ".parcel-cache",
+  ".turbo",
+  "vendor",
+  "target",
+  "__pycache__",
+  ".venv",
+  "venv",
+  "__MACOSX",
+]);
+
+const IGNORED_FILES = new Set([
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "composer.lock",
+  "Cargo.lock",
+  "poetry.lock",
+  ".DS_Store",
+  "Thumbs.db",
+]);
+
+const BINARY_EXTENSIONS = new Set([
+  ".png", ".jpg", ".jpeg", ".gif", ".bmp", ".ico", ".webp", ".avif",
+  ".pdf", ".zip", ".gz", ".tgz", ".bz2", ".xz", ".7z", ".rar", ".jar",
+  ".exe", ".dll", ".so", ".dylib", ".bin", ".o", ".a", ".class", ".wasm",
+  ".woff", ".woff2", ".ttf", ".otf", ".eot",
+  ".mp3", ".mp4", ".mov", ".avi", ".wav", ".ogg", ".webm",
+  ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx", ".sqlite", ".db",
+]);
+
+// Manifests and docs first so the model sees the shape of the project
+// before it sees the code.
+const PRIORITY_FILES = [
+  "package.json",
+  "README.md",
+  "tsconfig.json",
+  "pyproject.toml",
+  "requirements.txt",
+  "go.mod",
+  "Cargo.toml",
+  "appsscript.json",
+];
+
+// Normalize an uploaded path; null if it tries to escape the project root.
+export function normalizeUploadPath(p) {
+  const clean = String(p || "")
+    .replace(/\\/g, "/")
+    .replace(/^([a-zA-Z]:)?\/+/, "")
+    .replace(/^(\.\/)+/, "");
+  if (!clean) return null;
+
+  const parts = clean.split("/").filter((s) => s && s !== ".");
+  if (!parts.length || parts.includes("..")) return null;
+  return parts.join("/");
+}
+
+// Why a path should not be sent to the model, or null to keep it.
+export function skipReasonForPath(p) {
+  const parts = p.split("/");
+  const dir = parts.slice(0, -1).find((d) => IGNORED_DIRS.has(d));
+  if (dir) return `ignored directory ${dir}/`;
+
+  const base = parts[parts.length - 1];
+  if (IGNORED_FILES.has(base)) return "lockfile or OS metadata";
+  if (BINARY_EXTENSIONS.has(path.extname(base).toLowerCase())) return "binary";
+  return null;
+}
+
+function looksBinary(text) {
+  const sample = text.slice(0, 8000);
+  if (sample.includes("\u0000")) return true;
+  // Lots of U+FFFD means the bytes were not valid UTF-8 text.
+  const replacements = sample.split("\uFFFD").length - 1;
+  return sample.length > 0 && replacements / sample.length > 0.05;
+}
+
+// Indented tree for a sorted list of { path, note }.
+function renderTree(items) {
+  const lines = [];
+  const seenDirs = new Set();
+
+  for (const { path: p, note } of items) {
+    const parts = p.split("/");
+    for (let i = 0; i < parts.length - 1; i++) {
+      const dir = parts.slice(0, i + 1).join("/");
+      if (!seenDirs.has(dir)) {
+        seenDirs.add(dir);
+        lines.push(`${"  ".repeat(i)}${parts[i]}/`);
+      }
+    }
+    const depth = parts.length - 1;
+    lines.push(`${"  ".repeat(depth)}${parts[depth]}${note ? `  (${note})` : ""}`);
+  }
+  return lines.join("\n");
+}
+
+function priorityOf(p) {
+  const idx = PRIORITY_FILES.indexOf(p);
+  if (idx >= 0) return idx;
+  return PRIORITY_FILES.length + p.split("/").length;
+}
+
+/**
+ * Collect text files from an upload body.
+ *
+ *   files:   [{ path, content }]     plain text files (e.g. a picked folder)
+ *   archive: { fileName, base64 }    a .zip, unpacked here
+ *
+ * The single folder wrapping everything (repo-main/...) is dropped unless
+ * `unwrap` is false.
+ *
+ * Returns { files: [{ path, content }], skipped: [{ path, reason }] }.
+ */
+export function collectUploadedFiles({ files, archive }, { unwrap = true } = {}) {
+  const collected = [];
+  const skipped = [];
+
+  const accept = (rawPath, readContent) => {
+    const p = normalizeUploadPath(rawPath);
+    if (!p) {
+      skipped.push({ path: String(rawPath), reason: "unsafe path" });
+      return;
+    }
+    const reason = skipReasonForPath(p);
+    if (reason) {
+      skipped.push({ path: p, reason });
+      return;
+    }
+    const content = readContent();
+    if (typeof content !== "string" || looksBinary(content)) {
+      skipped.push({ path: p, reason: "binary" });
+      return;
+    }
+    collected.push({ path: p, content });
+  };
+
+  if (archive) {
+    const buf = Buffer.from(String(archive.base64 || ""), "base64");
+    const { entries, skipped: zipSkipped } = readZip(buf, {
+      // Don't even inflate what we'd throw away.
+      shouldExtract: (name) => {
+        const p = normalizeUploadPath(name);
+        const reason = p && skipReasonForPath(p);
+        if (reason) {
+          skipped.push({ path: p, reason });
+          return false;
+        }
+        return true;
+      },
+    });
+    skipped.push(...zipSkipped);
+    for (const entry of entries) {
+      accept(entry.path, () => entry.data.toString("utf8"));
+    }
+  }
+
+  for (const file of Array.isArray(files) ? files : []) {
+    accept(file?.path, () => file?.content);
+  }
+
+  // Drop the single wrapping folder most zips have (repo-main/...).
+  const roots = new Set(collected.map((f) => f.path.split("/")[0]));
+  if (
+    unwrap &&
+    roots.size === 1 &&
+    collected.length > 0 &&
+    collected.every((f) => f.path.includes("/"))
+  ) {
+    const prefix = `${[...roots][0]}/`;
+    for (const f of [...collected, ...skipped]) {
+      if (f.path.startsWith(prefix)) f.path = f.path.slice(prefix.length);
+    }
+  }
+
+  return { files: collected, skipped };
+}
+
+/**
+ * Build the project message body from collected files.
+ *
+ * Files are added in priority order (manifests, then shallow paths) while
+ * they fit in `budgetChars`; the rest are named in the tree as omitted.
+ * Returns { text, included, omitted, skipped }.
+ */
+export function buildProjectContext({ files, skipped = [] }, { budgetChars }) {
+  const ordered = [...files].sort(
+    (a, b) => priorityOf(a.path) - priorityOf(b.path) || a.path.localeCompare(b.path)
+  );
+
+  const included = [];
+  const omitted = [];
+  let used = 0;
+
+  for (const file of ordered) {
+    const cost = file.content.length + file.path.length + 16;
+    if (used + cost <= budgetChars) {
+      included.push(file);
+      used += cost;
+    } else {
+      omitted.push({ path: file.path, reason: "context budget" });
+    }
+  }
+
+  const treeItems = [
+    ...included.map((f) => ({ path: f.path, note: "" })),
+    ...omitted.map((f) => ({ path: f.path, note: `omitted: ${f.reason}` })),
+    ...skipped.map((f) => ({ path: f.path, note: `skipped: ${f.reason}` })),
+  ].sort((a, b) => a.path.localeCompare(b.path));
+
+  const sections = [
+    "PROJECT FILE TREE:",
+    renderTree(treeItems),
+    "",
+    `FILE CONTENTS (${included.length} of ${files.length} text files):`,
+    ...included.map((f) => `// file: ${f.path}\n${f.content}`),
+  ];
+
+  return { text: sections.join("\n"), included, omitted, skipped };
+}
@@ -0,0 +1,384 @@
+// providers.mjs
+//
+// Model backends behind one interface, plus the fallback chain config.
+//
+// A provider is { name, type, api, generate(request) } where request is
+//   { model, system, messages, reasoningEffort, maxOutputTokens,
+//     signal, onDelta }
+// and generate() resolves to { text, usage, truncated }. usage is
+// { inputTokens, outputTokens } as reported by the backend, or null when it
+// reported none. truncated is true when the reply stopped at the output
+// token limit (Responses status "incomplete", chat finish_reason "length").
+// Passing onDelta streams: it is called with every chunk of text as it
+// arrives.
+//
+// Provider types:
+//   openai-responses  OpenAI Responses API
+//   openai-chat       any OpenAI-compatible chat.completions endpoint
+//                     (OpenAI, Ollama, llama.cpp, vLLM... via baseURL)
+//   mock              deterministic canned replies, no network
+//
+// The chain is an ordered list of steps; server.mjs tries each step
+// 1 + retries times before moving on to the next one.
+
+import fs from "node:fs";
+import OpenAI from "openai";
+
+// Be robust to slightly different Responses API shapes.
+export function extractTextFromResponse(resp) {
+  return responseText(resp).trim();
+}
+
+// The response's text as written, trailing whitespace included.
+function responseText(resp) {
+  if (!resp || !resp.output) return "";
+
+  const chunks = [];
+
+  for (const item of resp.output) {
+    if (!item) continue;
+
+    // Newer shape: item.content is an array; each element may have .text
+    if (Array.isArray(item.content)) {
+      for (const c of item.content) {
+        if (typeof c.text === "string") {
+          chunks.push(c.text);
+        } else if (
+          c.output_text &&
+          typeof c.output_text.text === "string"
+        ) {
+          chunks.push(c.output_text.text);
+        }
+      }
+    }
+
+    // Some SDKs expose a convenience output_text field.
+    if (item.output_text && typeof item.output_text.text === "string") {
+      chunks.push(item.output_text.text);
+    }
+  }
+
+  // Absolute fallback if library also provides resp.output_text.text
+  if (resp.output_text && typeof resp.output_text.text === "string") {
+    chunks.push(resp.output_text.text);
+  }
+
+  return chunks.join("");
+}
+
+function openaiClient({ apiKey, apiKeyEnv = "OPENAI_API_KEY", baseURL }) {
+  return new OpenAI({
+    apiKey: apiKey || process.env[apiKeyEnv] || "missing-api-key",
+    // OPENAI_BASE_URL points every OpenAI provider without its own baseURL
+    // at a proxy or local fake (tests use this).
+    baseURL: baseURL || process.env.OPENAI_BASE_URL || undefined,
+    timeout: 10 * 60 * 1000, // 10 minutes; steps can set their own
+  });
+}
+
+// Responses and chat.completions name the token counts differently.
+function readUsage(usage) {
+  if (!usage) return null;
+  const inputTokens = usage.input_tokens ?? usage.prompt_tokens;
+  const outputTokens = usage.output_tokens ?? usage.completion_tokens;
+  if (typeof inputTokens !== "number" && typeof outputTokens !== "number") {
+    return null;
+  }
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+// Cut off by max_output_tokens (or the model's own output cap), rather than
+// by a content filter.
+function responseTruncated(resp) {
+  return (
+    resp?.status === "incomplete" &&
+    resp.incomplete_details?.reason !== "content_filter"
+  );
+}
+
+function toInput(system, messages) {
+  return [
+    { role: "system", content: system },
+    ...messages.map((m) => ({ role: m.role, content: m.content })),
+  ];
+}
+
+export function createResponsesProvider(name, config = {}) {
+  const client = openaiClient(config);
+
+  return {
+    name,
+    type: "openai-responses",
+    api: "responses",
+    async generate({ model, system, messages, reasoningEffort, maxOutputTokens, signal, onDelta }) {
+      const params = { model, input: toInput(system, messages) };
+      if (reasoningEffort) params.reasoning = { effort: reasoningEffort };
+      if (maxOutputTokens) params.max_output_tokens = maxOutputTokens;
+
+      if (!onDelta) {
+        const resp = await client.responses.create(params, { signal });
+        // A cut-off reply keeps its trailing whitespace for the continuation.
+        const truncated = responseTruncated(resp);
+        return {
+          text: truncated ? responseText(resp) : extractTextFromResponse(resp),
+          usage: readUsage(resp.usage),
+          truncated,
+        };
+      }
+
+      const stream = await client.responses.create(
+        { ...params, stream: true },
+        { signal }
+      );
+
+      let text = "";
+      let finalResponse = null;
+
+      for await (const event of stream) {
+        if (!event) continue;
+
+        if (
+          event.type === "response.output_text.delta" &&
+          typeof event.delta === "string"
+        ) {
+          text += event.delta;
+          onDelta(event.delta);
+        } else if (
+          event.type === "response.completed" ||
+          event.type === "response.incomplete"
+        ) {
+          finalResponse = event.response;
+        } else if (event.type === "response.failed") {
+          throw new Error(
+            event.response?.error?.message || "Responses stream failed"
+          );
+        } else if (event.type === "error") {
+          throw new Error(event.message || "Responses stream error");
+        }
+      }
+
+      // Some models only put text on the final response object.
+      if (!text.trim() && finalResponse) {
+        const finalText = extractTextFromResponse(finalResponse);
+        if (finalText) {
+          text = finalText;
+          onDelta(finalText);
+        }
+      }
+
+      // A cut-off reply keeps its trailing whitespace for the continuation.
+      const truncated = responseTruncated(finalResponse);
+      return {
+        text: truncated ? text : text.trim(),
+        usage: readUsage(finalResponse?.usage),
+        truncated,
+      };
+    },
+  };
+}
+
+// maxTokensField: older OpenAI-compatible servers only understand
+// "max_tokens" instead of "max_completion_tokens".
+// streamUsage: false for servers that reject stream_options; streamed
+// replies then carry no usage and the server estimates it.
+export function createChatProvider(name, config = {}) {
+  const client = openaiClient(config);
+  const maxTokensField = config.maxTokensField || "max_completion_tokens";
+
+  return {
+    name,
+    type: "openai-chat",
+    api: "chat",
+    async generate({ model, system, messages, reasoningEffort, maxOutputTokens, signal, onDelta }) {
+      const params = { model, messages: toInput(system, messages) };
+      if (reasoningEffort) params.reasoning_effort = reasoningEffort;
+      if (maxOutputTokens) params[maxTokensField] = maxOutputTokens;
+
+      if (!onDelta) {
+        const completion = await client.chat.completions.create(params, {
+          signal,
+        });
+        return {
+          text: completion.choices?.[0]?.message?.content || "",
+          usage: readUsage(completion.usage),
+          truncated: completion.choices?.[0]?.finish_reason === "length",
+        };
+      }
+
+      const streamParams = { ...params, stream: true };
+      if (config.streamUsage !== false) {
+        streamParams.stream_options = { include_usage: true };
+      }
+      const stream = await client.chat.completions.create(streamParams, {
+        signal,
+      });
+
+      let text = "";
+      let usage = null;
+      let finishReason = null;
+      for await (const chunk of stream) {
+        // With include_usage the last chunk has no choices, only usage.
+        if (chunk?.usage) usage = readUsage(chunk.usage);
+        const choice = chunk?.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        const delta = choice?.delta?.content;
+        if (typeof delta === "string" && delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return { text, usage, truncated: finishReason === "length" };
+    },
+  };
+}
+
+export function mockReplyText(model, messages) {
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const firstLine = String(lastUser?.content || "")
+    .split(/\r?\n/)[0]
+    .slice(0, 80);
+  return [
+    `Mock reply from ${model}.`,
+    "// file: mock/echo.js",
+    `export const prompt = ${JSON.stringify(firstLine)};`,
+  ].join("\n");
+}
+
+// Options: reply (fixed text), fail (error message to throw every time),
+// delayMs (wait before answering; honours abort signals). Usage is a rough
+// four-characters-per-token count so quotas can be exercised offline.
+export function createMockProvider(name, config = {}) {
+  return {
+    name,
+    type: "mock",
+    api: "mock",
+    async generate({ model, system, messages, signal, onDelta }) {
+      if (config.delayMs) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, config.delayMs);
+          signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(signal.reason || new Error("Aborted"));
+          });
+        });
+      }
+      if (config.fail) throw new Error(String(config.fail));
+
+      const text =
+        typeof config.reply === "string"
+          ? config.reply
+          : mockReplyText(model, messages);
+      if (onDelta) {
+        for (let i = 0; i < text.length; i += 16) {
+          onDelta(text.slice(i, i + 16));
+        }
+      }
+      const inputChars = [system, ...messages.map((m) => m.content)]
+        .join("").length;
+      return {
+        text,
+        usage: {
+          inputTokens: Math.ceil(inputChars / 4),
+          outputTokens: Math.ceil(text.length / 4),
+        },
+        truncated: false,
+      };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  "openai-responses": createResponsesProvider,
+  "openai-chat": createChatProvider,
+  mock: createMockProvider,
+};
+
+export function createProvider(name, config) {
+  const factory = PROVIDER_FACTORIES[config?.type];
+  if (!factory) {
+    throw new Error(
+      `Provider '${name}' has unknown type '${config?.type}' ` +
+        `(expected one of: ${Object.keys(PROVIDER_FACTORIES).join(", ")}).`
+    );
+  }
+  return factory(name, config);
+}
+
+// Always available; config files may override or add to them.
+const BUILTIN_PROVIDERS = {
+  openai: { type: "openai-responses" },
+  "openai-chat": { type: "openai-chat" },
+  mock: { type: "mock" },
+};
+
+function normalizeStep(step, index, providers) {
+  const where = `chain[${index}]`;
+  if (!step || typeof step.provider !== "string" || !providers[step.provider]) {
+    throw new Error(`${where}: unknown provider '${step?.provider}'.`);
+  }
+  if (typeof step.model !== "string" || !step.model) {
+    throw new Error(`${where}: 'model' is required.`);
+  }
+  const retries = step.retries ?? 0;
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`${where}: 'retries' must be a non-negative integer.`);
+  }
+  return {
+    provider: step.provider,
+    model: step.model,
+    retries,
+    timeoutMs: Number(step.timeoutMs) || null,
+    reasoningEffort: step.reasoningEffort || null,
+    maxOutputTokens: Number(step.maxOutputTokens) || null,
+  };
+}
+
+/**
+ * Model configuration from, in order of precedence: `json` (inline JSON),
+ * the JSON file at `filePath`, or `defaultChain`.
+ *
+ *   {
+ *     "providers": { "<name>": { "type": "...", "baseURL": "...", ... } },
+ *     "chain": [{ "provider": "<name>", "model": "...", "retries": 1,
+ *                 "timeoutMs": 600000, "reasoningEffort": "high",
+ *                 "maxOutputTokens": 32000 }]
+ *   }
+ *
+ * Returns { providers: { name: config }, chain: [step] }. Throws on
+ * invalid config so a typo fails at boot rather than on the first request.
+ */
+export function loadModelConfig({ json, filePath, defaultChain }) {
+  let raw = {};
+  let source = "defaults";
+
+  if (json) {
+    source = "MODEL_CONFIG";
+    raw = parseConfig(json, source);
+  } else if (filePath) {
+    source = filePath;
+    raw = parseConfig(fs.readFileSync(filePath, "utf8"), source);
+  }
+
+  const providers = { ...BUILTIN_PROVIDERS, ...(raw.providers || {}) };
+  const chain = Array.isArray(raw.chain) && raw.chain.length
+    ? raw.chain
+    : defaultChain;
+
+  try {
+    return {
+      source,
+      providers,
+      chain: chain.map((step, i) => normalizeStep(step, i, providers)),
+    };
+  } catch (err) {
+    throw new Error(`Invalid model config (${source}): ${err.message}`);
+  }
+}
+
+function parseConfig(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Model config ${source} is not valid JSON: ${err.message}`);
+  }
+}
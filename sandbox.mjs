@@ -0,0 +1,572 @@
+// sandbox.mjs
+//
+// Checks the files of a model reply without trusting them. The `// file:`
+// blocks are written into a throwaway directory and each one gets a syntax
+// check:
+//
+//   .js .mjs .cjs  node --check (as an ES module when the file or the
+//                  generated package.json says so)
+//   .json          JSON.parse
+//   .html .htm     tag balance, plus node --check on inline scripts
+//
+// Other files are listed as skipped. Optionally the project's own tests run
+// too (SANDBOX_TEST_COMMAND, or `npm test` when the reply has a package.json
+// with a test script), in a child process with CPU, memory, file-size and
+// wall-clock limits, a scrubbed environment, and no network (a fresh network
+// namespace via `unshare`). Nothing here ever runs generated code in the
+// server process.
+//
+// A report is
+//   { files: [{ path, status: "ok" | "error" | "skipped", checker,
+//               diagnostics: [{ line, column, message, source }] }],
+//     rejected: [{ path, reason }],
+//     tests: null | { command, status, exitCode, timedOut, durationMs,
+//                     output },
+//     summary: { total, ok, errors, skipped } }
+
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { safeRelativePath, splitFileBlocks } from "./output-blocks.mjs";
+
+const MAX_FILES = 200;
+const MAX_OUTPUT_CHARS = 64 * 1024;
+const MAX_DIAGNOSTICS_PER_FILE = 10;
+
+const ESM_RE = /^\s*(?:import\s*[\w{*"']|export\s)/m;
+
+// Elements that never have a closing tag.
+const VOID_ELEMENTS = new Set(
+  (
+    "area base br col embed hr img input link meta param source track wbr"
+  ).split(" ")
+);
+// Elements whose closing tag HTML lets you leave out.
+const OPTIONAL_CLOSE = new Set(
+  (
+    "html head body p li dt dd option optgroup thead tbody tfoot tr td th " +
+    "colgroup caption rb rt rtc rp"
+  ).split(" ")
+);
+const RAW_TEXT = new Set(["script", "style", "textarea", "title"]);
+const JS_TYPE_RE = /^(?:module|(?:text|application)\/javascript)$/i;
+
+/**
+ * The named file blocks of `text` that are safe to write, last copy of a
+ * path winning (like the ZIP export). Returns { files: [{ path, content }],
+ * rejected: [{ path, reason }] }.
+ */
+export function filesToValidate(text) {
+  const byPath = new Map();
+  const rejected = [];
+  for (const block of splitFileBlocks(text)) {
+    if (block.path === null) continue;
+    const safe = safeRelativePath(block.path);
+    if (!safe) {
+      rejected.push({ path: block.path, reason: "unsafe path" });
+      continue;
+    }
+    byPath.set(safe, { path: safe, content: block.content });
+  }
+  return { files: [...byPath.values()], rejected };
+}
+
+// Line and column of a character offset.
+function positionOf(text, offset) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function capOutput(text) {
+  return text.length > MAX_OUTPUT_CHARS
+    ? text.slice(0, MAX_OUTPUT_CHARS) + "\n[output cut off]"
+    : text;
+}
+
+// Run a command and collect its output. `timeoutMs` kills the whole
+// process group (the command may have started children of its own).
+function run(command, args, { cwd, env, input, timeoutMs }) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      detached: true,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    let output = "";
+    const collect = (chunk) => {
+      if (output.length < MAX_OUTPUT_CHARS + 1) output += chunk;
+    };
+    child.stdout.setEncoding("utf8").on("data", collect);
+    child.stderr.setEncoding("utf8").on("data", collect);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // already gone
+      }
+    }, timeoutMs);
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      resolve({
+        exitCode: null,
+        signal: null,
+        timedOut,
+        output: err.message,
+        durationMs: Date.now() - started,
+      });
+    });
+    child.on("close", (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({
+        exitCode,
+        signal,
+        timedOut,
+        output: capOutput(output),
+        durationMs: Date.now() - started,
+      });
+    });
+
+    child.stdin.on("error", () => {}); // the child may exit before reading
+    child.stdin.end(input ?? "");
+  });
+}
+
+// The "type" of the generated package.json nearest to `file`, or null
+// when there is none (or it doesn't say).
+function packageTypeFor(file, byPath) {
+  let dir = path.posix.dirname(file);
+  for (;;) {
+    const pkg = byPath.get(dir === "." ? "package.json" : `${dir}/package.json`);
+    if (pkg) {
+      try {
+        return JSON.parse(pkg.content).type || null;
+      } catch {
+        return null;
+      }
+    }
+    if (dir === ".") return null;
+    dir = path.posix.dirname(dir);
+  }
+}
+
+// `node --check` reading from stdin, so the module type is ours to choose
+// (node's own detection lets some broken ES modules through).
+async function nodeCheck(code, { module, lineOffset = 0, timeoutMs, env }) {
+  const result = await run(
+    process.execPath,
+    [`--input-type=${module ? "module" : "commonjs"}`, "--check"],
+    { cwd: os.tmpdir(), env, input: code, timeoutMs }
+  );
+  if (result.timedOut) {
+    return [{ line: null, column: null, message: "Syntax check timed out." }];
+  }
+  if (result.exitCode === 0) return [];
+
+  // [stdin]:LINE, the source line, a caret under the column, blank, Error.
+  const lines = result.output.split(/\r?\n/);
+  const at = lines.findIndex((l) => /^\[stdin\]:\d+/.test(l));
+  const line = at >= 0 ? Number(lines[at].match(/:(\d+)/)[1]) : null;
+  const caret = at >= 0 ? lines[at + 2]?.indexOf("^") : -1;
+  const message =
+    lines.find((l) => /^\w*Error\b/.test(l)) || "Syntax check failed.";
+  return [
+    {
+      line: line === null ? null : line + lineOffset,
+      column: caret >= 0 ? caret + 1 : null,
+      message,
+    },
+  ];
+}
+
+function checkJson(content) {
+  try {
+    JSON.parse(content);
+    return [];
+  } catch (err) {
+    const at = err.message.match(/at position (\d+)/);
+    const where = at ? positionOf(content, Number(at[1])) : {};
+    return [
+      {
+        line: where.line ?? null,
+        column: where.column ?? null,
+        message: err.message.replace(/\s+/g, " ").slice(0, 300),
+      },
+    ];
+  }
+}
+
+// Tags that are opened and never closed, closed without being opened, or
+// closed in the wrong order. Inline scripts are returned for node --check.
+function scanHtml(content) {
+  const diagnostics = [];
+  const scripts = [];
+  const stack = [];
+  const tagRe =
+    /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const report = (offset, message) =>
+    diagnostics.push({ ...positionOf(content, offset), message });
+
+  let m;
+  while ((m = tagRe.exec(content))) {
+    if (!m[1]) {
+      if (m[0].startsWith("<!--") && !m[0].endsWith("-->")) {
+        report(m.index, "Comment is never closed.");
+      }
+      continue;
+    }
+    const name = m[1].toLowerCase();
+    const closing = m[0][1] === "/";
+
+    if (!closing) {
+      if (VOID_ELEMENTS.has(name) || /\/\s*$/.test(m[2])) continue;
+      if (RAW_TEXT.has(name)) {
+        const end = content
+          .toLowerCase()
+          .indexOf(`</${name}`, tagRe.lastIndex);
+        if (end < 0) {
+          report(m.index, `<${name}> is never closed.`);
+          break;
+        }
+        const type = (m[2].match(/\btype\s*=\s*["']?([^"'\s>]+)/i) || [])[1];
+        if (
+          name === "script" &&
+          !/\bsrc\s*=/i.test(m[2]) &&
+          (!type || JS_TYPE_RE.test(type))
+        ) {
+          scripts.push({
+            code: content.slice(tagRe.lastIndex, end),
+            module: /^module$/i.test(type || ""),
+            lineOffset: positionOf(content, tagRe.lastIndex).line - 1,
+          });
+        }
+        const close = content.indexOf(">", end);
+        tagRe.lastIndex = close < 0 ? content.length : close + 1;
+        continue;
+      }
+      stack.push({ name, offset: m.index });
+      continue;
+    }
+
+    if (VOID_ELEMENTS.has(name)) continue;
+    const open = stack.map((t) => t.name).lastIndexOf(name);
+    if (open < 0) {
+      report(m.index, `</${name}> has no matching <${name}>.`);
+      continue;
+    }
+    for (const inner of stack.splice(open + 1)) {
+      if (!OPTIONAL_CLOSE.has(inner.name)) {
+        report(inner.offset, `<${inner.name}> is not closed before </${name}>.`);
+      }
+    }
+    stack.pop();
+  }
+
+  for (const open of stack) {
+    if (!OPTIONAL_CLOSE.has(open.name)) {
+      report(open.offset, `<${open.name}> is never closed.`);
+    }
+  }
+  return { diagnostics, scripts };
+}
+
+async function checkHtml(content, options) {
+  const { diagnostics, scripts } = scanHtml(content);
+  for (const script of scripts) {
+    if (!script.code.trim()) continue;
+    diagnostics.push(
+      ...(await nodeCheck(script.code, { ...options, ...script }))
+    );
+  }
+  return diagnostics;
+}
+
+async function checkFile(file, byPath, options) {
+  const ext = path.posix.extname(file.path).toLowerCase();
+
+  if ([".js", ".mjs", ".cjs"].includes(ext)) {
+    const pkgType = packageTypeFor(file.path, byPath);
+    const module =
+      ext === ".mjs" ||
+      (ext === ".js" &&
+        (pkgType === "module" ||
+          (pkgType !== "commonjs" && ESM_RE.test(file.content))));
+    return {
+      checker: `node --check (${module ? "ES module" : "CommonJS"})`,
+      diagnostics: await nodeCheck(file.content, { ...options, module }),
+    };
+  }
+  if (ext === ".json") {
+    return { checker: "JSON.parse", diagnostics: checkJson(file.content) };
+  }
+  if (ext === ".html" || ext === ".htm") {
+    return {
+      checker: "HTML tags + inline scripts",
+      diagnostics: await checkHtml(file.content, options),
+    };
+  }
+  return null;
+}
+
+// Test output mentions files by their sandbox path; make those relative
+// and pick out the file:line references as diagnostics.
+function testDiagnostics(output, files) {
+  const found = new Map();
+  for (const file of files) {
+    const escaped = file.path.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const re = new RegExp(`(?:^|[\\s("'/])${escaped}:(\\d+)(?::(\\d+))?`);
+    const hits = output
+      .split(/\r?\n/)
+      .filter((l) => re.test(l) && !/^\S+:\d+$/.test(l.trim()))
+      .slice(0, 3)
+      .map((l) => {
+        const m = l.match(re);
+        return {
+          line: Number(m[1]),
+          column: m[2] ? Number(m[2]) : null,
+          message: l.trim().slice(0, 300),
+          source: "tests",
+        };
+      });
+    if (hits.length) found.set(file.path, hits);
+  }
+  return found;
+}
+
+/**
+ * Whether this host can give test runs their own empty network namespace.
+ */
+export function detectIsolation() {
+  const probe = spawnSync("unshare", ["-rn", "true"], {
+    stdio: "ignore",
+    timeout: 5000,
+  });
+  return probe.status === 0;
+}
+
+/**
+ * A validator for model replies. Options:
+ *   runTests     "off" (default), "on" (only with network isolation), or
+ *                "unisolated" (hosts without user namespaces)
+ *   testCommand  shell command for the tests; default `npm test` when the
+ *                reply has a package.json with a test script
+ *   timeoutMs    wall clock for one test run (syntax checks get 10s each)
+ *   memoryMb     address-space limit for the test run
+ *   isolated     result of detectIsolation()
+ * Validations run one at a time.
+ */
+export function createSandbox({
+  runTests = "off",
+  testCommand = "",
+  timeoutMs = 60000,
+  memoryMb = 2048,
+  isolated = false,
+} = {}) {
+  let queue = Promise.resolve();
+
+  // Only what a test runner needs; the server's secrets stay out.
+  const envFor = (dir) => ({
+    PATH: process.env.PATH,
+    HOME: dir,
+    TMPDIR: dir,
+    LANG: "C.UTF-8",
+    CI: "1",
+    NODE_ENV: "test",
+    npm_config_update_notifier: "false",
+    npm_config_cache: path.join(dir, ".npm"),
+  });
+
+  // Why the tests can't run, or null.
+  function testsUnavailable(files) {
+    if (runTests === "off") {
+      return "Test runs are turned off on this server (SANDBOX_RUN_TESTS).";
+    }
+    if (runTests === "on" && !isolated) {
+      return (
+        "This host can't cut test runs off from the network (unshare), " +
+        "so they are refused."
+      );
+    }
+    if (!testCommand && !commandFromPackage(files)) {
+      return "The reply has no package.json with a test script.";
+    }
+    return null;
+  }
+
+  function commandFromPackage(files) {
+    const pkg = files.find((f) => f.path === "package.json");
+    try {
+      return pkg && JSON.parse(pkg.content).scripts?.test
+        ? "npm test --silent"
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function runTestCommand(dir, files) {
+    const command = testCommand || commandFromPackage(files);
+    const cpuSeconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+    const limits =
+      `ulimit -t ${cpuSeconds}; ulimit -v ${memoryMb * 1024}; ` +
+      `ulimit -f ${100 * 1024}; eval "$1"`;
+    const shell = ["sh", "-c", limits, "sandbox", command];
+    const [bin, ...args] =
+      runTests === "unisolated" ? shell : ["unshare", "-rn", ...shell];
+
+    const result = await run(bin, args, {
+      cwd: dir,
+      env: envFor(dir),
+      timeoutMs,
+    });
+    const output = result.output.split(dir + path.sep).join("");
+    return {
+      command,
+      status: result.timedOut
+        ? "timeout"
+        : result.exitCode === 0
+        ? "passed"
+        : "failed",
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      durationMs: result.durationMs,
+      output,
+    };
+  }
+
+  async function validateNow(text, { tests: wantTests }) {
+    const { files: all, rejected } = filesToValidate(text);
+    const files = all.slice(0, MAX_FILES);
+    for (const extra of all.slice(MAX_FILES)) {
+      rejected.push({ path: extra.path, reason: "too many files" });
+    }
+    const byPath = new Map(files.map((f) => [f.path, f]));
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unhinged-sandbox-"));
+    try {
+      for (const file of files) {
+        const target = path.join(dir, file.path);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, file.content, "utf8");
+      }
+
+      const checkOptions = { timeoutMs: 10000, env: envFor(dir) };
+      const results = [];
+      for (const file of files) {
+        const checked = await checkFile(file, byPath, checkOptions);
+        results.push(
+          checked
+            ? {
+                path: file.path,
+                status: checked.diagnostics.length ? "error" : "ok",
+                checker: checked.checker,
+                diagnostics: checked.diagnostics
+                  .slice(0, MAX_DIAGNOSTICS_PER_FILE)
+                  .map((d) => ({ ...d, source: "syntax" })),
+              }
+            : {
+                path: file.path,
+                status: "skipped",
+                checker: null,
+                diagnostics: [],
+              }
+        );
+      }
+
+      let tests = null;
+      if (wantTests) {
+        const reason = testsUnavailable(files);
+        tests = reason
+          ? { command: null, status: "unavailable", output: reason }
+          : await runTestCommand(dir, files);
+        if (tests.status === "failed" || tests.status === "timeout") {
+          const found = testDiagnostics(tests.output, files);
+          for (const result of results) {
+            const extra = found.get(result.path);
+            if (!extra) continue;
+            result.diagnostics.push(...extra);
+            result.status = "error";
+          }
+        }
+      }
+
+      return {
+        files: results,
+        rejected,
+        tests,
+        summary: {
+          total: results.length,
+          ok: results.filter((r) => r.status === "ok").length,
+          errors: results.filter((r) => r.status === "error").length,
+          skipped: results.filter((r) => r.status === "skipped").length,
+        },
+      };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    testsEnabled: runTests !== "off" && (runTests !== "on" || isolated),
+
+    /**
+     * Validate the file blocks of `text`; `tests: true` also runs the test
+     * command. Resolves to a report (see the top of this file).
+     */
+    validate(text, { tests = false } = {}) {
+      const next = queue.then(() => validateNow(text, { tests }));
+      queue = next.catch(() => {});
+      return next;
+    },
+  };
+}
+
+/**
+ * The follow-up asking the model to fix what validation found, or null
+ * when there is nothing to fix.
+ */
+export function fixPrompt(report) {
+  const broken = report.files.filter((f) => f.status === "error");
+  const testsFailed =
+    report.tests?.status === "failed" || report.tests?.status === "timeout";
+  if (!broken.length && !testsFailed) return null;
+
+  const lines = [];
+  for (const file of broken) {
+    // Test failures are quoted whole below.
+    for (const d of file.diagnostics.filter((d) => d.source !== "tests")) {
+      const where = d.line ? `${file.path}:${d.line}` : file.path;
+      lines.push(`- ${where}${d.column ? `:${d.column}` : ""} ${d.message}`);
+    }
+  }
+
+  const parts = [
+    "Your previous answer does not pass validation.",
+    "",
+  ];
+  if (lines.length) parts.push("Errors:", ...lines, "");
+  if (testsFailed) {
+    parts.push(
+      report.tests.status === "timeout"
+        ? `The tests (\`${report.tests.command}\`) timed out. Last output:`
+        : `The tests (\`${report.tests.command}\`) failed. Output:`,
+      "```",
+      report.tests.output.slice(-4000).trim(),
+      "```",
+      ""
+    );
+  }
+  parts.push(
+    "Fix every problem. Output the FULL contents of each file you change,",
+    "with `// file:` headers, and keep everything else as it was. Do not",
+    "repeat unchanged files."
+  );
+  return parts.join("\n");
+}
@@ -0,0 +1,320 @@
+// secrets.mjs
+//
+// Finds likely secrets in text before it reaches a model or the audit log:
+// API keys with a known shape (OpenAI, Anthropic, AWS, GitHub, Slack,
+// Google, Stripe), private key blocks, JWTs, passwords in connection
+// strings, key = value assignments whose name says secret, and quoted
+// high-entropy tokens.
+//
+// A vault masks each distinct secret with a placeholder such as
+// __SECRET_OPENAI_KEY_3fa9c2__ and remembers the value, so a reply that
+// uses the placeholder can be given back with the real value restored.
+// Values only ever live in the vault (memory); what is stored or sent
+// keeps the placeholder.
+
+import crypto from "node:crypto";
+
+// Each rule matches a secret; `group` picks the part to mask when the rest
+// of the match is context (a variable name, a URL scheme).
+const RULES = [
+  {
+    type: "PRIVATE_KEY",
+    label: "private key",
+    re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    type: "ANTHROPIC_KEY",
+    label: "Anthropic API key",
+    re: /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    type: "OPENAI_KEY",
+    label: "OpenAI API key",
+    re: /\b(?:sk|rk)-(?:proj-|svcacct-|admin-|live-|test-)?[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    type: "STRIPE_KEY",
+    label: "Stripe secret key",
+    re: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g,
+  },
+  {
+    type: "AWS_KEY",
+    label: "AWS access key",
+    re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    type: "GITHUB_TOKEN",
+    label: "GitHub token",
+    re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g,
+  },
+  {
+    type: "SLACK_TOKEN",
+    label: "Slack token",
+    re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  },
+  {
+    type: "GOOGLE_KEY",
+    label: "Google API key",
+    re: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    type: "JWT",
+    label: "JWT",
+    re: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g,
+  },
+  {
+    type: "CONNECTION_PASSWORD",
+    label: "connection string password",
+    re: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver):\/\/[^\s:/@]+:([^\s@/]+)@/g,
+    group: 1,
+  },
+  // Quoted value: const apiKey = "..."; "password": "..."
+  {
+    type: "ASSIGNED_SECRET",
+    label: "secret assignment",
+    re: /\b[\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|credential)[\w.-]*["']?\s*[:=]\s*(["'`])([^\s"'`]{6,})\1/gi,
+    group: 2,
+    accept: plausibleValue,
+  },
+  // Unquoted, .env / YAML / properties style, at the start of a line.
+  {
+    type: "ASSIGNED_SECRET",
+    label: "secret assignment",
+    re: /^[ \t]*(?:export[ \t]+)?[\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|credential)[\w.-]*[ \t]*[:=][ \t]*([^\s"'`#;,]{6,})/gim,
+    group: 1,
+    accept: plausibleValue,
+  },
+  {
+    type: "HIGH_ENTROPY",
+    label: "high-entropy token",
+    re: /(["'`])([A-Za-z0-9+/=_.-]{24,})\1/g,
+    group: 2,
+    accept: looksRandom,
+  },
+];
+
+// References and template values are not secrets.
+function plausibleValue(value) {
+  if (/[${}<>()[\]]|process\.env|os\.environ|getenv/i.test(value)) {
+    return false;
+  }
+  return /\d/.test(value) || value.length >= 16;
+}
+
+function entropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Mixed case and digits and about 4+ bits per character: random, not a
+// word, a path or a hex digest.
+function looksRandom(value) {
+  return (
+    /[a-z]/.test(value) &&
+    /[A-Z]/.test(value) &&
+    /\d/.test(value) &&
+    !/^[\w-]+(?:\.[\w-]+)+$/.test(value) &&
+    entropy(value) >= 4
+  );
+}
+
+function lineAt(text, index) {
+  let line = 1;
+  let i = text.indexOf("\n");
+  while (i !== -1 && i < index) {
+    line++;
+    i = text.indexOf("\n", i + 1);
+  }
+  return line;
+}
+
+/**
+ * Likely secrets in `text`, in order and without overlaps:
+ * [{ type, label, index, length, line }]. index/length cover the secret
+ * itself, not the name it was assigned to.
+ */
+export function findSecrets(text) {
+  const source = String(text ?? "");
+  const found = [];
+  for (const rule of RULES) {
+    for (const match of source.matchAll(rule.re)) {
+      const value = rule.group ? match[rule.group] : match[0];
+      if (!value || (rule.accept && !rule.accept(value))) continue;
+      if (value.includes("__SECRET_")) continue; // masked already
+      const index = match.index + match[0].lastIndexOf(value);
+      found.push({ rule, index, length: value.length });
+    }
+  }
+
+  // Earlier rules are more specific: a key that is also assigned to `apiKey`
+  // is reported once, as the key.
+  found.sort(
+    (a, b) =>
+      a.index - b.index || RULES.indexOf(a.rule) - RULES.indexOf(b.rule)
+  );
+  const kept = [];
+  for (const f of found) {
+    const last = kept[kept.length - 1];
+    if (last && f.index < last.index + last.length) continue;
+    kept.push(f);
+  }
+  return kept.map(({ rule, index, length }) => ({
+    type: rule.type,
+    label: rule.label,
+    index,
+    length,
+    line: lineAt(source, index),
+  }));
+}
+
+// `text` with every secret passed through replace(value, finding).
+function replaceSecrets(text, replace) {
+  const source = String(text ?? "");
+  const found = findSecrets(source);
+  let result = "";
+  let at = 0;
+  for (const f of found) {
+    result += source.slice(at, f.index);
+    result += replace(source.slice(f.index, f.index + f.length), f);
+    at = f.index + f.length;
+  }
+  return { text: result + source.slice(at), found };
+}
+
+/**
+ * `text` with likely secrets replaced by [REDACTED]. Returns { text, count }.
+ */
+export function redactSecrets(text) {
+  const { text: redacted, found } = replaceSecrets(text, () => "[REDACTED]");
+  return { text: redacted, count: found.length };
+}
+
+export const PLACEHOLDER_RE = /__SECRET_[A-Z0-9_]+?_[0-9a-f]{6}__/g;
+
+// The tail of a stream that could still grow into a placeholder.
+const PARTIAL_PLACEHOLDER_RE =
+  /_(?:_(?:S(?:E(?:C(?:R(?:E(?:T(?:_[A-Za-z0-9_]*)?)?)?)?)?)?)?)?$/;
+const MAX_PLACEHOLDER = 64;
+
+/**
+ * Masks secrets with placeholders and restores them later.
+ *
+ *   mask(text, where) -> text with placeholders; each secret is recorded in
+ *                        found as { type, label, where, line }
+ *   restore(text)     -> placeholders swapped back for their values
+ *   absorb(vault)     -> also restore another vault's placeholders
+ *
+ * where names the input ("message", a file path...). Text under a
+ * "// file: path" header is attributed to that path, with lines counted
+ * from the header.
+ */
+export function createSecretVault() {
+  const byValue = new Map();
+  const byPlaceholder = new Map();
+  const found = [];
+
+  function placeholderFor(value, type) {
+    let placeholder = byValue.get(value);
+    if (!placeholder) {
+      do {
+        const id = crypto.randomBytes(3).toString("hex");
+        placeholder = `__SECRET_${type}_${id}__`;
+      } while (byPlaceholder.has(placeholder));
+      byValue.set(value, placeholder);
+      byPlaceholder.set(placeholder, value);
+    }
+    return placeholder;
+  }
+
+  return {
+    found,
+
+    get size() {
+      return byPlaceholder.size;
+    },
+
+    mask(text, where) {
+      const source = String(text ?? "");
+      const headers = [...source.matchAll(/^\/\/ file: (.+)$/gm)];
+      const { text: masked } = replaceSecrets(source, (value, f) => {
+        const header = headers.filter((h) => h.index < f.index).pop();
+        found.push({
+          type: f.type,
+          label: f.label,
+          where: header ? header[1].trim() : where,
+          line: header ? f.line - lineAt(source, header.index) : f.line,
+        });
+        return placeholderFor(value, f.type);
+      });
+      return masked;
+    },
+
+    restore(text) {
+      return String(text ?? "").replace(
+        PLACEHOLDER_RE,
+        (placeholder) => byPlaceholder.get(placeholder) ?? placeholder
+      );
+    },
+
+    absorb(other) {
+      for (const [placeholder, value] of other.entries()) {
+        byPlaceholder.set(placeholder, value);
+        if (!byValue.has(value)) byValue.set(value, placeholder);
+      }
+    },
+
+    // [placeholder, value] pairs.
+    entries() {
+      return [...byPlaceholder];
+    },
+  };
+}
+
+/**
+ * Streaming restore: push() deltas as they arrive; onText gets them with
+ * placeholders restored, holding back a tail that may be half a
+ * placeholder. finish() flushes it.
+ */
+export function createRestorer(vault, onText) {
+  let pending = "";
+
+  return {
+    push(delta) {
+      pending = vault.restore(pending + delta);
+      const partial = pending.match(PARTIAL_PLACEHOLDER_RE);
+      const keep =
+        partial && partial[0].length <= MAX_PLACEHOLDER ? partial[0].length : 0;
+      const ready = pending.slice(0, pending.length - keep);
+      pending = pending.slice(pending.length - keep);
+      if (ready) onText(ready);
+    },
+
+    // Drops held-back text (the reply restarted).
+    reset() {
+      pending = "";
+    },
+
+    finish() {
+      if (pending) onText(pending);
+      pending = "";
+    },
+  };
+}
+
+/**
+ * One line per finding for an error message, e.g.
+ * "OpenAI API key (config.js, line 3)".
+ */
+export function describeSecrets(found, max = 5) {
+  const lines = found
+    .slice(0, max)
+    .map((f) => `${f.label} (${f.where || "input"}, line ${f.line})`);
+  if (found.length > max) lines.push(`and ${found.length - max} more`);
+  return lines;
+}
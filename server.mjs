@@ -1,8 +1,80 @@
 // server.mjs
+import crypto from "node:crypto";
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
-import OpenAI from "openai";
+import { setTimeout as delay } from "timers/promises";
+import { createSessionStore } from "./session-store.mjs";
+import { createAuditLog } from "./audit-log.mjs";
+import { createLogger } from "./logger.mjs";
+import { createAuthStore, credentialsProblem } from "./auth.mjs";
+import {
+  compactMessages,
+  estimateTokens,
+  inputBudgetFor,
+  loadContextBudgets,
+  tokensToChars,
+} from "./context-budget.mjs";
+import {
+  buildProjectContext,
+  collectUploadedFiles,
+  normalizeUploadPath,
+} from "./project-context.mjs";
+import {
+  chunkPrompt,
+  cleanChunkOutput,
+  consistencyPrompt,
+  outlineOf,
+  splitIntoChunks,
+} from "./large-file.mjs";
+import {
+  continuationMessages,
+  createStitcher,
+  stitchContinuation,
+} from "./continuation.mjs";
+import {
+  createJobQueue,
+  JobCancelledError,
+  publicJob,
+} from "./jobs.mjs";
+import { createSandbox, detectIsolation, fixPrompt } from "./sandbox.mjs";
+import {
+  createRestorer,
+  createSecretVault,
+  describeSecrets,
+} from "./secrets.mjs";
+import { createTemplateStore } from "./template-store.mjs";
+import {
+  BUILT_IN_PROFILES,
+  createProfileStore,
+  DEFAULT_PROFILE_ID,
+} from "./profile-store.mjs";
+import { filesForExport, filesToWrite } from "./output-blocks.mjs";
+import { createGitRepos, GitError, loadRepoList } from "./git-repo.mjs";
+import { createProvider, loadModelConfig } from "./providers.mjs";
+import {
+  createMeter,
+  createRateLimiter,
+  createUsageLedger,
+  loadPrices,
+  nextUtcMidnight,
+} from "./usage.mjs";
+import {
+  analyzeCoverage,
+  applyModelVerdicts,
+  checklistFrom,
+  gapPrompt,
+  verifyPrompt,
+} from "./spec-coverage.mjs";
+import {
+  applyReply,
+  EDIT_MODE_PROMPT,
+  hasFile,
+  isEditPrompt,
+  replayWorkspace,
+  workspaceSnapshot,
+} from "./workspace.mjs";
+import { createZip } from "./zip.mjs";
 
 // ---------------------------------------------------------------------------
 // CONFIG
@@ -10,201 +82,847 @@ import OpenAI from "openai";
 
 const PORT = process.env.PORT || 3000;
 
+// Structured JSON logs (see logger.mjs). LOG_FORMAT=pretty for reading by
+// eye; LOG_LEVEL=debug|info|warn|error; the newest LOG_BUFFER_SIZE records
+// are kept for /api/admin/logs.
+const logger = createLogger({
+  format: process.env.LOG_FORMAT || "json",
+  level: process.env.LOG_LEVEL || "info",
+  bufferSize: Number(process.env.LOG_BUFFER_SIZE || 2000),
+});
+
 // IMPORTANT:
 // These model names are placeholders for "future you" when GPT-5.1 Codex exists.
 // TODAY, if you only have gpt-4.x, change these to models you actually have
 // (for example CODE_MODEL = "gpt-4.1" and FALLBACK_MODEL = "gpt-4.1").
+// They only shape the default chain; MODEL_CONFIG replaces it entirely.
 //
 const CODE_MODEL = process.env.CODE_MODEL || "gpt-5.1-codex-max";
 const FALLBACK_MODEL =
   process.env.FALLBACK_MODEL || "gpt-5.1-chat-latest"; // or "gpt-5.1"
 
+// Uploads longer than this are refactored in chunks (map-reduce) unless the
+// request asks for largeFileMode: "quick" (keep head + tail, drop the middle).
+const MAX_SINGLE_UPLOAD_CHARS = 200000;
+const CHUNK_TARGET_CHARS = Number(process.env.CHUNK_TARGET_CHARS || 60000);
+
 // A “near max” output size for the fallback chat endpoint.
 // Adjust down if you still hit context errors.
 const MAX_CHAT_COMPLETION_TOKENS = 96000;
 
-if (!process.env.OPENAI_API_KEY) {
-  console.warn(
-    "[WARN] OPENAI_API_KEY is not set. API calls will fail until you configure it."
+// A reply cut off by the output limit is continued by the same model up to
+// MAX_CONTINUATIONS times (0 turns this off); replies still cut off after
+// that are returned with complete: false.
+const MAX_CONTINUATIONS = Number(process.env.MAX_CONTINUATIONS ?? 3);
+
+// Per-model context windows; override with CONTEXT_BUDGETS (JSON), e.g.
+// {"gpt-4.1":{"contextTokens":1000000,"reservedOutputTokens":32768}}
+const CONTEXT_BUDGETS = loadContextBudgets(process.env.CONTEXT_BUDGETS);
+
+// OPENAI_BASE_URL overrides the API endpoint for OpenAI providers that don't
+// set their own baseURL (a proxy, or the local fake the tests run against).
+//
+// Ordered fallback chain of { provider, model, retries, timeoutMs,
+// reasoningEffort, maxOutputTokens } steps. Set MODEL_CONFIG (inline JSON)
+// or MODEL_CONFIG_FILE (path) to change it; see models.example.json.
+// Without either: Responses API with CODE_MODEL twice, then chat.completions
+// with FALLBACK_MODEL once.
+const MODEL_CONFIG = loadModelConfig({
+  json: process.env.MODEL_CONFIG,
+  filePath: process.env.MODEL_CONFIG_FILE,
+  defaultChain: [
+    {
+      provider: "openai",
+      model: CODE_MODEL,
+      retries: 1,
+      reasoningEffort: "xhigh",
+      // No max_output_tokens → let model push as far as it can.
+    },
+    {
+      provider: "openai-chat",
+      model: FALLBACK_MODEL,
+      maxOutputTokens: MAX_CHAT_COMPLETION_TOKENS,
+    },
+  ],
+});
+
+const MODEL_CHAIN = MODEL_CONFIG.chain;
+const providers = {};
+for (const { provider } of MODEL_CHAIN) {
+  providers[provider] ||= createProvider(
+    provider,
+    MODEL_CONFIG.providers[provider]
+  );
+}
+
+const needsOpenAIKey = Object.values(providers).some(
+  (p) =>
+    p.type !== "mock" &&
+    !MODEL_CONFIG.providers[p.name].apiKey &&
+    !MODEL_CONFIG.providers[p.name].apiKeyEnv
+);
+if (needsOpenAIKey && !process.env.OPENAI_API_KEY) {
+  logger.warn(
+    "OPENAI_API_KEY is not set. API calls will fail until you configure it.",
+    { tag: "Config" }
   );
 }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 10 * 60 * 1000, // 10 minutes
+// Resolve __dirname under ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Sessions persist to disk by default so conversations survive redeploys.
+// SESSION_STORE=memory restores the old in-process behavior.
+// The default directory starts with a dot, which express.static never serves.
+const SESSION_STORE = process.env.SESSION_STORE || "file";
+const SESSION_DIR =
+  process.env.SESSION_DIR || path.join(__dirname, ".data", "sessions");
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 24 * 7);
+const MAX_SESSIONS = Number(process.env.MAX_SESSIONS || 500);
+
+const sessionStore = createSessionStore({
+  kind: SESSION_STORE,
+  dir: SESSION_DIR,
+  ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000,
+  maxSessions: MAX_SESSIONS,
+  // An evicted session's secrets must not outlive it.
+  onEvict: (id) => sessionVaults.delete(id),
+  log: logger,
+});
+
+function pruneSessions() {
+  sessionStore.prune().catch((err) => {
+    logger.error("Prune failed", { tag: "SessionStore", err });
+  });
+}
+
+// Sweep expired sessions at boot and hourly; unref so the timer never holds
+// the process open.
+pruneSessions();
+setInterval(pruneSessions, 60 * 60 * 1000).unref();
+
+// AUTH_MODE=required (the default) needs a login or API token on every /api
+// route except login, signup and status. AUTH_MODE=off keeps the old open
+// behavior for a trusted local machine.
+const AUTH_MODE = process.env.AUTH_MODE === "off" ? "off" : "required";
+const AUTH_FILE =
+  process.env.AUTH_FILE || path.join(__dirname, ".data", "auth.json");
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === "true";
+const LOGIN_TTL_HOURS = Number(process.env.LOGIN_TTL_HOURS || 24 * 7);
+
+const authStore = createAuthStore({
+  file: AUTH_FILE,
+  loginTtlMs: LOGIN_TTL_HOURS * 60 * 60 * 1000,
+});
+
+// ADMIN_USERNAME + ADMIN_PASSWORD create the first account at boot, so a
+// fresh deploy is usable without enabling signup.
+async function bootstrapAdmin() {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return;
+
+  const problem = credentialsProblem(username, password);
+  if (problem) {
+    logger.error(`Not creating ADMIN_USERNAME: ${problem}`, { tag: "Auth" });
+    return;
+  }
+  const created = await authStore.createUser({
+    username,
+    password,
+    role: "admin",
+  });
+  if (created) {
+    logger.info("Created admin user", {
+      tag: "Auth",
+      username: created.username,
+    });
+  }
+}
+
+bootstrapAdmin()
+  .then(async () => {
+    if (AUTH_MODE === "required" && !(await authStore.userCount()) && !ALLOW_SIGNUP) {
+      logger.warn(
+        "AUTH_MODE=required but no users exist. Set ADMIN_USERNAME and " +
+          "ADMIN_PASSWORD, or ALLOW_SIGNUP=true, to be able to log in.",
+        { tag: "Auth" }
+      );
+    }
+  })
+  .catch((err) => logger.error("Bootstrap failed", { tag: "Auth", err }));
+
+// Usage and limits. Each turn's token counts (every retry, fallback and
+// chunk call included) are priced with MODEL_PRICES (JSON, USD per 1M
+// tokens, e.g. {"gpt-4.1":{"input":2,"output":8}}) and appended to
+// USAGE_FILE. Limits apply per user (per client IP with auth off):
+//   RATE_LIMIT_PER_MINUTE  generation requests per minute (0 = no limit)
+//   DAILY_TOKEN_QUOTA      input + output tokens per UTC day (0 = no limit)
+// A turn that starts under the quota is allowed to finish.
+const MODEL_PRICES = loadPrices(process.env.MODEL_PRICES);
+const USAGE_FILE =
+  process.env.USAGE_FILE || path.join(__dirname, ".data", "usage.jsonl");
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE ?? 20);
+const DAILY_TOKEN_QUOTA = Number(process.env.DAILY_TOKEN_QUOTA || 0);
+
+const usageLedger = createUsageLedger({ file: USAGE_FILE });
+const rateLimiter = createRateLimiter({ perMinute: RATE_LIMIT_PER_MINUTE });
+
+usageLedger.ready.catch((err) =>
+  logger.error("Could not read usage log", { tag: "Usage", err })
+);
+
+// Generations run as jobs (see jobs.mjs). JOBS_PER_SESSION caps how many run
+// at once in one session; more wait their turn. Finished jobs stay
+// queryable for JOB_KEEP_MINUTES.
+const JOBS_PER_SESSION = Number(process.env.JOBS_PER_SESSION || 1);
+const JOB_KEEP_MINUTES = Number(process.env.JOB_KEEP_MINUTES || 60);
+
+const jobQueue = createJobQueue({
+  perSession: JOBS_PER_SESSION,
+  keepFinishedMs: JOB_KEEP_MINUTES * 60 * 1000,
+  log: logger,
 });
 
-// sessionId -> { id, messages: [{ role, content }] }
-const sessions = new Map();
+// Prompt Architect templates are shared by every user of the server; only
+// their owner (or an admin) can change or delete them.
+const TEMPLATES_FILE =
+  process.env.TEMPLATES_FILE ||
+  path.join(__dirname, ".data", "templates.json");
+const MAX_TEMPLATES = Number(process.env.MAX_TEMPLATES || 500);
+
+const templateStore = createTemplateStore({ file: TEMPLATES_FILE });
+
+templateStore.ready.catch((err) =>
+  logger.error("Could not read templates", { tag: "Templates", err })
+);
+
+// System prompt profiles (see profile-store.mjs): the built-ins plus the ones
+// users add, shared like templates. A turn uses the request's `profile`,
+// else its session's, else "generate".
+const PROFILES_FILE =
+  process.env.PROFILES_FILE || path.join(__dirname, ".data", "profiles.json");
+const MAX_PROFILES = Number(process.env.MAX_PROFILES || 200);
+const MAX_PROFILE_PROMPT_CHARS = 20000;
+
+const profileStore = createProfileStore({ file: PROFILES_FILE });
+
+profileStore.ready.catch((err) =>
+  logger.error("Could not read profiles", { tag: "Profiles", err })
+);
+
+// Local git repositories replies can be committed to (on a new branch) and
+// uploads can read from: GIT_REPOS='{"name": "/absolute/path"}'. Nothing
+// else on disk is reachable; clients only pass the name.
+const gitRepos = createGitRepos({
+  repos: loadRepoList(process.env.GIT_REPOS),
+  author: {
+    name: process.env.GIT_COMMIT_NAME || "Unhinged Codex",
+    email: process.env.GIT_COMMIT_EMAIL || "unhinged-codex@localhost",
+  },
+  timeoutMs: Number(process.env.GIT_TIMEOUT_MS || 30000),
+});
 
-const BASE_SYSTEM_PROMPT = `
-You are an elite senior software engineer and code generation engine.
+// Every prompt and reply is appended to AUDIT_FILE (AUDIT_LOG=off turns it
+// off). Secrets in them are redacted first unless AUDIT_REDACT=off.
+const AUDIT_LOG = process.env.AUDIT_LOG !== "off";
+const AUDIT_FILE =
+  process.env.AUDIT_FILE || path.join(__dirname, ".data", "audit.jsonl");
+const auditLog = AUDIT_LOG
+  ? createAuditLog({
+      file: AUDIT_FILE,
+      redact: process.env.AUDIT_REDACT !== "off",
+    })
+  : null;
+
+// Audit failures are logged, never passed on to the request.
+async function audit(entry) {
+  if (!auditLog) return;
+  try {
+    await auditLog.record(entry);
+  } catch (err) {
+    logger.error("Could not write audit log", { tag: "Audit", err });
+  }
+}
 
-GOALS:
-- Generate extremely large, production-quality codebases from detailed prompts.
-- When asked to "refactor", "review", or "improve" code, output the FULL revised code, not just comments.
-- Prefer complete multi-file style outputs inline (clear file headers in comments) rather than vague advice.
+// /api/validate syntax-checks reply files in a temp dir (see sandbox.mjs).
+// Running the project's tests as well is opt-in: SANDBOX_RUN_TESTS=on
+// (needs unshare for network isolation) or "unisolated".
+const SANDBOX_RUN_TESTS = process.env.SANDBOX_RUN_TESTS || "off";
+if (!["off", "on", "unisolated"].includes(SANDBOX_RUN_TESTS)) {
+  throw new Error(
+    `SANDBOX_RUN_TESTS must be off, on or unisolated (got '${SANDBOX_RUN_TESTS}').`
+  );
+}
+const sandbox = createSandbox({
+  runTests: SANDBOX_RUN_TESTS,
+  testCommand: process.env.SANDBOX_TEST_COMMAND || "",
+  timeoutMs: Number(process.env.SANDBOX_TIMEOUT_MS || 60000),
+  memoryMb: Number(process.env.SANDBOX_MEMORY_MB || 2048),
+  isolated: SANDBOX_RUN_TESTS === "on" && detectIsolation(),
+});
 
-BEHAVIOR:
-- Treat each conversation as a coding session with full memory of prior messages.
-- Assume the user wants the MAXIMUM safe amount of code the API will allow in a single response.
-- Do NOT summarize unless explicitly asked. Prioritize code over explanation.
-- When refactoring uploaded code, output the improved version in full.
-- Use clear file separators like:
-// file: src/server.ts
-// file: src/components/App.tsx
+// Chat messages and uploads are scanned for secrets (see secrets.mjs) before
+// anything is stored or sent. SECRET_SCAN=mask (default) swaps them for
+// placeholders and puts the real values back into the reply; "block"
+// refuses the request with a 422 naming what was found; "off" sends
+// everything as is.
+const SECRET_SCAN = process.env.SECRET_SCAN || "mask";
+if (!["mask", "block", "off"].includes(SECRET_SCAN)) {
+  throw new Error(
+    `SECRET_SCAN must be mask, block or off (got '${SECRET_SCAN}').`
+  );
+}
 
-- Avoid meta-commentary. Keep explanation compact and put it AFTER the full code when needed.
-`.trim();
+// The "generate" profile; also what internal calls (chunks, checks) use.
+const BASE_SYSTEM_PROMPT = BUILT_IN_PROFILES.find(
+  (p) => p.id === DEFAULT_PROFILE_ID
+).prompt;
 
 // ---------------------------------------------------------------------------
 // HELPERS
 // ---------------------------------------------------------------------------
 
-function getOrCreateSession(sessionId) {
-  if (!sessionId) {
-    sessionId = `session-${Date.now()}-${Math.random()
-      .toString(16)
-      .slice(2)}`;
-  }
-  let s = sessions.get(sessionId);
-  if (!s) {
-    s = { id: sessionId, messages: [] };
-    sessions.set(sessionId, s);
+// Error carrying an HTTP status (and optional response headers) for the
+// route handlers to send back.
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
   }
-  return s;
 }
 
-// Be robust to slightly different Responses API shapes.
-function extractTextFromResponse(resp) {
-  if (!resp || !resp.output) return "";
+function sendHttpError(res, err) {
+  res.set(err.headers).status(err.status).json({ error: err.message });
+}
 
-  const chunks = [];
+function newSessionId() {
+  return `session-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
 
-  for (const item of resp.output) {
-    if (!item) continue;
+// First line of a prompt, trimmed to something that fits in a sidebar.
+function titleFromText(text, max = 60) {
+  const line = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .find(Boolean);
+  if (!line) return "Untitled session";
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
 
-    // Newer shape: item.content is an array; each element may have .text
-    if (Array.isArray(item.content)) {
-      for (const c of item.content) {
-        if (typeof c.text === "string") {
-          chunks.push(c.text);
-        } else if (
-          c.output_text &&
-          typeof c.output_text.text === "string"
-        ) {
-          chunks.push(c.output_text.text);
-        }
-      }
-    }
+// Sessions belong to the user who created them. With auth required,
+// anyone else gets a 403, including for sessions created while auth was off.
+function assertOwner(session, user) {
+  if (AUTH_MODE === "off") return;
+  if (!user || session.owner !== user.id) {
+    throw new HttpError(403, "This session belongs to another user.");
+  }
+}
 
-    // Some SDKs expose a convenience output_text field.
-    if (item.output_text && typeof item.output_text.text === "string") {
-      chunks.push(item.output_text.text);
-    }
+async function getOrCreateSession(sessionId, user) {
+  if (!sessionId) {
+    sessionId = newSessionId();
+  }
+  if (typeof sessionId !== "string" || sessionId.length > 200) {
+    throw new HttpError(400, "Invalid 'sessionId' in request body.");
   }
 
-  // Absolute fallback if library also provides resp.output_text.text
-  if (resp.output_text && typeof resp.output_text.text === "string") {
-    chunks.push(resp.output_text.text);
+  let s = await sessionStore.get(sessionId);
+  if (s) {
+    assertOwner(s, user);
+  } else {
+    const now = Date.now();
+    s = {
+      id: sessionId,
+      owner: user?.id || null,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    };
   }
+  return s;
+}
 
-  return chunks.join("").trim();
+// The workspace a session's replies built up (older sessions predate the
+// stored copy and are replayed).
+function workspaceOf(session) {
+  return session.workspace || replayWorkspace(session.messages);
 }
 
-// Try Responses (CODE_MODEL) twice, then chat (FALLBACK_MODEL) once.
-async function generateWithFallback(session) {
-  const sessionMessages = session.messages || [];
+// Session history trimmed to fit `model`'s context window, and the system
+// prompt to send with it (`basePrompt`, the turn's profile). The stored
+// history itself is left untouched. An edit-mode turn gets the edit rules
+// and the current workspace files; they are added here rather than stored,
+// so they are always current.
+function contextFor(
+  session,
+  model,
+  log = logger,
+  basePrompt = BASE_SYSTEM_PROMPT
+) {
+  const messages = session.messages || [];
+  const latest = messages[messages.length - 1];
+  const editing = isEditPrompt(latest);
+  const systemPrompt = editing
+    ? `${basePrompt}\n\n${EDIT_MODE_PROMPT}`
+    : basePrompt;
+
+  const context = compactMessages(
+    editing
+      ? [
+          ...messages.slice(0, -1),
+          {
+            ...latest,
+            content:
+              `${latest.content}\n\n` +
+              workspaceSnapshot(workspaceOf(session), latest.files),
+          },
+        ]
+      : messages,
+    {
+      budgetTokens: inputBudgetFor(CONTEXT_BUDGETS, model),
+      systemPrompt,
+    }
+  );
+  context.system = systemPrompt;
+
+  if (context.compactedTurns) {
+    log.info("Compacted history", {
+      tag: "Context",
+      model,
+      compactedTurns: context.compactedTurns,
+      estimatedTokens: context.estimatedTokens,
+      budgetTokens: context.budgetTokens,
+    });
+  }
+  if (context.overBudget) {
+    log.warn("Latest turn alone exceeds the budget; sending anyway", {
+      tag: "Context",
+      model,
+    });
+  }
+  return context;
+}
 
-  const responsesInput = [
-    { role: "system", content: BASE_SYSTEM_PROMPT },
-    ...sessionMessages.map((m) => ({
-      role: m.role,
-      content: m.content,
-    })),
-  ];
+// Run one model call, aborting it after `timeoutMs` when set or as soon as
+// `signal` (the job's cancel signal) aborts.
+async function callWithTimeout(timeoutMs, signal, fn) {
+  if (!timeoutMs && !signal) return fn(undefined);
+
+  const controller = new AbortController();
+  const onCancel = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", onCancel, { once: true });
+  const timer = timeoutMs
+    ? setTimeout(
+        () => controller.abort(new Error(`Timed out after ${timeoutMs} ms`)),
+        timeoutMs
+      )
+    : null;
+  try {
+    if (signal?.aborted) throw signal.reason;
+    return await fn(controller.signal);
+  } catch (err) {
+    throw controller.signal.aborted ? controller.signal.reason : err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onCancel);
+  }
+}
 
-  let lastError = null;
+// Ask `step` to carry on with a reply that hit the output limit, up to
+// MAX_CONTINUATIONS times, appending each stitched piece to `text`. A
+// failing continuation ends the loop; the text so far is still returned.
+async function continueTruncated(
+  { step, provider, context, text },
+  { emit, onDelta, meter, signal, log }
+) {
+  let truncated = true;
+  let continuations = 0;
+
+  while (truncated && continuations < MAX_CONTINUATIONS) {
+    continuations++;
+    log.info("Output truncated; continuing", {
+      chars: text.length,
+      continuation: continuations,
+      maxContinuations: MAX_CONTINUATIONS,
+    });
+    emit("continuation", {
+      model: step.model,
+      index: continuations,
+      max: MAX_CONTINUATIONS,
+    });
 
-  // -------------------- 1) Responses API (CODE_MODEL) --------------------
-  for (let attempt = 1; attempt <= 2; attempt++) {
+    const messages = continuationMessages(context.messages, text);
+    const stitcher = createStitcher(text, onDelta);
+    const started = Date.now();
+    let reply;
     try {
-      console.log(
-        `[Responses] Attempt ${attempt} with model=${CODE_MODEL} for session=${session.id}`
+      reply = await callWithTimeout(step.timeoutMs, signal, (callSignal) =>
+        provider.generate({
+          model: step.model,
+          system: context.system,
+          messages,
+          reasoningEffort: step.reasoningEffort,
+          maxOutputTokens: step.maxOutputTokens,
+          signal: callSignal,
+          onDelta: onDelta ? stitcher.push : undefined,
+        })
       );
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      log.warn("Continuation failed", {
+        continuation: continuations,
+        durationMs: Date.now() - started,
+        err,
+      });
+      // Keep whatever already streamed to the client.
+      if (onDelta) text += stitcher.finish();
+      break;
+    }
+
+    const usage = {
+      model: step.model,
+      inputTokens:
+        reply.usage?.inputTokens ??
+        context.estimatedTokens + estimateTokens(text),
+      outputTokens: reply.usage?.outputTokens ?? estimateTokens(reply.text),
+      estimated: !reply.usage,
+    };
+    meter?.add(usage);
+
+    const added = onDelta
+      ? stitcher.finish()
+      : stitchContinuation(text, reply.text);
+    text += added;
+    log.info("Continuation finished", {
+      continuation: continuations,
+      durationMs: Date.now() - started,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      estimated: usage.estimated,
+      addedChars: added.length,
+      truncated: reply.truncated,
+    });
+    truncated = reply.truncated;
+    // Nothing new: asking again won't get further.
+    if (!added) break;
+  }
+
+  return { text, complete: !truncated, continuations };
+}
+
+// Walk MODEL_CHAIN in order, giving each step 1 + retries attempts. Empty
+// output counts as a failure, except on the very last attempt where a
+// placeholder is returned instead. A reply cut off by the output limit is
+// continued (see continueTruncated); `complete` says whether it got to the
+// end.
+//
+// Passing `onEvent` switches every provider to streaming mode. It is called
+// as onEvent(name, data) with:
+//   attempt  { api, provider, model, attempt }  before each call
+//   delta    { text }                 for every chunk of model output
+//   reset    { reason }               when an attempt fails; drop partial text
+//   fallback { model, reason }        before moving to the next chain step
+//   continuation { model, index, max } before each continuation call
+//
+// `meter` (see usage.mjs) is charged for every call that returns, failed
+// ones included; usage the backend didn't report is estimated. Aborting
+// `signal` stops the chain at once, without retries or fallback.
+// `systemPrompt` replaces the default ("generate") profile's prompt.
+//
+// Every attempt, fallback and continuation is logged through `log` (the
+// request's logger, carrying its correlation id) with its timing, model
+// and token counts.
+async function generateWithFallback(
+  session,
+  { onEvent, meter, signal, log: parentLog, systemPrompt } = {}
+) {
+  const streaming = typeof onEvent === "function";
+  const emit = streaming ? onEvent : () => {};
+  const onDelta = streaming ? (text) => emit("delta", { text }) : undefined;
+  const baseLog = (parentLog || logger.child({ sessionId: session.id })).child(
+    { tag: "Model" }
+  );
+  const startedAll = Date.now();
+
+  let lastError = null;
 
-      const resp = await openai.responses.create({
-        model: CODE_MODEL,
-        input: responsesInput,
-        reasoning: { effort: "xhigh" },
-        // No explicit max_output_tokens → let model push as far as it can.
-        // Leave truncation at default ("disabled") so we see real errors.
+  for (const [index, step] of MODEL_CHAIN.entries()) {
+    const provider = providers[step.provider];
+    const log = baseLog.child({
+      step: index + 1,
+      provider: step.provider,
+      model: step.model,
+    });
+    const context = contextFor(session, step.model, log, systemPrompt);
+    const attempts = 1 + step.retries;
+
+    if (index > 0) {
+      log.warn("Falling back", {
+        from: MODEL_CHAIN[index - 1].model,
+        reason: lastError?.message || "previous model failed",
+        elapsedMs: Date.now() - startedAll,
       });
+      emit("fallback", {
+        model: step.model,
+        reason: lastError?.message || "previous model failed",
+      });
+    }
 
-      const text = extractTextFromResponse(resp);
-      if (text) {
-        console.log(
-          `[Responses] Success on attempt ${attempt} (length=${text.length})`
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const isLastAttempt =
+        index === MODEL_CHAIN.length - 1 && attempt === attempts;
+
+      const started = Date.now();
+      try {
+        log.info("Attempt started", { attempt, attempts, api: provider.api });
+        emit("attempt", {
+          api: provider.api,
+          provider: step.provider,
+          model: step.model,
+          attempt,
+        });
+
+        const reply = await callWithTimeout(
+          step.timeoutMs,
+          signal,
+          (callSignal) =>
+            provider.generate({
+              model: step.model,
+              system: context.system,
+              messages: context.messages,
+              reasoningEffort: step.reasoningEffort,
+              maxOutputTokens: step.maxOutputTokens,
+              signal: callSignal,
+              onDelta,
+            })
         );
-        return {
-          text,
-          modelUsed: CODE_MODEL,
-          fromFallback: false,
+        let text = reply.text;
+
+        const usage = {
+          model: step.model,
+          inputTokens: reply.usage?.inputTokens ?? context.estimatedTokens,
+          outputTokens: reply.usage?.outputTokens ?? estimateTokens(text),
+          estimated: !reply.usage,
         };
+        meter?.add(usage);
+        const outcome = text ? "Attempt succeeded" : "Empty output";
+        log[text ? "info" : "warn"](outcome, {
+          attempt,
+          durationMs: Date.now() - started,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          estimated: usage.estimated,
+          chars: text.length,
+          truncated: !!reply.truncated,
+        });
+
+        // Flagged so callers that need real output can tell it apart.
+        const empty = !text && isLastAttempt;
+        if (empty) {
+          text = "[No content returned from fallback model]";
+          onDelta?.(text);
+        }
+
+        if (text) {
+          let complete = !reply.truncated;
+          let continuations = 0;
+          if (reply.truncated) {
+            ({ text, complete, continuations } = await continueTruncated(
+              { step, provider, context, text },
+              { emit, onDelta, meter, signal, log }
+            ));
+          }
+          log.info("Generation finished", {
+            attempt,
+            fromFallback: index > 0,
+            totalMs: Date.now() - startedAll,
+            chars: text.length,
+            complete,
+            continuations,
+          });
+          return {
+            text,
+            modelUsed: step.model,
+            fromFallback: index > 0,
+            compactedTurns: context.compactedTurns,
+            complete,
+            continuations,
+            empty,
+          };
+        }
+
+        lastError = new Error(`Empty output from ${step.model}`);
+        lastError.name = "EmptyOutputError";
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        lastError = err;
+        log.warn("Attempt failed", {
+          attempt,
+          durationMs: Date.now() - started,
+          err,
+        });
       }
 
-      lastError = new Error("Empty output from Responses API");
-      console.error(
-        `[Responses] Empty output on attempt ${attempt}`,
-        JSON.stringify(resp, null, 2)
-      );
-    } catch (err) {
-      lastError = err;
-      console.error(
-        `[Responses] Error on attempt ${attempt}:`,
-        err?.message || err
-      );
+      if (!isLastAttempt) {
+        emit("reset", { reason: lastError?.message || "attempt failed" });
+      }
     }
   }
 
-  // -------------------- 2) Chat Completions fallback ---------------------
-  const chatMessages = [
-    { role: "system", content: BASE_SYSTEM_PROMPT },
-    ...sessionMessages.map((m) => ({
-      role: m.role,
-      content: m.content,
-    })),
-  ];
-
-  try {
-    console.log(
-      `[ChatFallback] Calling chat.completions with model=${FALLBACK_MODEL}`
-    );
+  throw lastError;
+}
 
-    const completion = await openai.chat.completions.create({
-      model: FALLBACK_MODEL,
-      messages: chatMessages,
-      max_completion_tokens: MAX_CHAT_COMPLETION_TOKENS,
+// Refactor one oversized file in pieces: split on top-level declarations,
+// run every chunk through generateWithFallback with the same instructions,
+// stitch the results, then ask for a cross-part consistency review.
+//
+// With `onEvent`, progress is reported as
+//   chunk        { index, total, status: "start" | "done", startLine, endLine }
+//   consistency  { status: "start" | "done" }
+// and each finished chunk is sent as a delta, so the stitched file builds up
+// in order.
+//
+// A chunk the models return nothing for keeps its original code: its "done"
+// event has `refactored: false`, the consistency notes list it and the
+// result is not complete.
+async function generateChunked(
+  session,
+  { fileName, fileContent, instructions },
+  // No systemPrompt: every chunk must come back as code to stitch, whatever
+  // the turn's profile.
+  { onEvent, meter, signal, log = logger } = {}
+) {
+  const emit = typeof onEvent === "function" ? onEvent : () => {};
+  const shared =
+    instructions ||
+    "Refactor and improve this code. Fix bugs and improve structure.";
+
+  const chunks = splitIntoChunks(fileContent, {
+    targetChars: CHUNK_TARGET_CHARS,
+  });
+  const outline = outlineOf(fileContent);
+  const models = new Set();
+  let fromFallback = false;
+  let complete = true; // every chunk got to its end
+  const kept = []; // chunks left as they were
+
+  log.info("Refactoring in chunks", {
+    tag: "Chunked",
+    fileName,
+    chars: fileContent.length,
+    chunks: chunks.length,
+  });
+
+  const header = `// file: ${fileName}\n`;
+  emit("delta", { text: header });
+
+  const parts = [];
+  for (const chunk of chunks) {
+    const progress = {
+      index: chunk.index,
+      total: chunks.length,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+    };
+    emit("chunk", { ...progress, status: "start" });
+
+    // Each chunk is its own one-message conversation; it is not stored.
+    const chunkSession = {
+      id: `${session.id}#chunk-${chunk.index + 1}`,
+      messages: [
+        {
+          role: "user",
+          content: chunkPrompt({
+            fileName,
+            chunk,
+            total: chunks.length,
+            outline,
+            instructions: shared,
+          }),
+        },
+      ],
+    };
+    const result = await generateWithFallback(chunkSession, {
+      meter,
+      signal,
+      log: log.child({ chunk: chunk.index + 1 }),
     });
 
-    const text =
-      completion.choices?.[0]?.message?.content ||
-      "[No content returned from fallback model]";
+    let code = cleanChunkOutput(result.text);
+    const refactored = !result.empty && code.trim() !== "";
+    if (!refactored) {
+      log.warn("Chunk returned nothing; keeping the original", {
+        tag: "Chunked",
+        chunk: chunk.index + 1,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+      });
+      kept.push(chunk);
+      code = chunk.text;
+    }
+    parts.push(code);
+    models.add(result.modelUsed);
+    fromFallback = fromFallback || result.fromFallback;
+    complete = complete && result.complete && refactored;
 
-    console.log(
-      `[ChatFallback] Success (length=${text.length})`
-    );
+    emit("delta", { text: (chunk.index > 0 ? "\n" : "") + code });
+    emit("chunk", { ...progress, status: "done", refactored });
+  }
 
-    return {
-      text,
-      modelUsed: FALLBACK_MODEL,
-      fromFallback: true,
+  const stitched = parts.join("\n");
+
+  emit("consistency", { status: "start" });
+  let notes;
+  try {
+    const checkSession = {
+      id: `${session.id}#consistency`,
+      messages: [
+        {
+          role: "user",
+          content: consistencyPrompt({
+            fileName,
+            outline: outlineOf(stitched),
+            instructions: shared,
+            total: chunks.length,
+          }),
+        },
+      ],
     };
+    const check = await generateWithFallback(checkSession, {
+      meter,
+      signal,
+      log: log.child({ chunk: "consistency" }),
+    });
+    notes = check.text.trim();
   } catch (err) {
-    console.error("[ChatFallback] FAILED:", err?.message || err);
-    // Preserve the original Responses error if there was one.
-    throw lastError || err;
+    if (signal?.aborted) throw err;
+    // The stitched code is still worth returning.
+    log.warn("Consistency pass failed", { tag: "Chunked", err });
+    notes = `Consistency pass failed: ${err?.message || err}`;
   }
+  emit("consistency", { status: "done" });
+
+  if (kept.length) {
+    const list = kept
+      .map((c) => `- part ${c.index + 1} (lines ${c.startLine}-${c.endLine})`)
+      .join("\n");
+    notes =
+      `NOT REFACTORED (no output from the model; original code kept):\n` +
+      `${list}\n\n${notes}`;
+  }
+  const notesBlock = `\n\n// file: ${fileName}.consistency-notes.md\n${notes}`;
+  emit("delta", { text: notesBlock });
+
+  return {
+    text: header + stitched + notesBlock,
+    modelUsed: [...models].join(", "),
+    fromFallback,
+    compactedTurns: 0,
+    complete,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -213,16 +931,43 @@ async function generateWithFallback(session) {
 
 const app = express();
 
+// Every request gets a correlation id: the caller's X-Request-Id when it
+// looks sane, a fresh UUID otherwise. It is echoed back, and every log line
+// written for the request (jobs and model attempts included) carries it.
+const REQUEST_ID_RE = /^[\w.-]{1,64}$/;
+
+app.use((req, res, next) => {
+  const given = req.get("x-request-id");
+  req.id = given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  const started = Date.now();
+  res.on("finish", () => {
+    if (!req.originalUrl.startsWith("/api/")) return;
+    const sessionId =
+      req.body?.sessionId ||
+      req.query?.sessionId ||
+      req.originalUrl.match(/^\/api\/sessions\/([^/?]+)/)?.[1];
+    req.log.info("Request", {
+      tag: "HTTP",
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      ...(req.user ? { user: req.user.username } : {}),
+      ...(typeof sessionId === "string" ? { sessionId } : {}),
+    });
+  });
+  next();
+});
+
 app.use(
   express.json({
     limit: "20mb", // large text blobs
   })
 );
 
-// Resolve __dirname under ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Serve static files (index.html, prompt-architect.html, etc.)
 app.use(express.static(__dirname));
 
@@ -231,181 +976,2239 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
-// ------------------------- /api/chat --------------------------------------
-
-app.post("/api/chat", async (req, res) => {
-  res.setTimeout(10 * 60 * 1000); // 10 minutes
-
-  try {
-    const { sessionId, message } = req.body || {};
-    if (!message || typeof message !== "string") {
-      return res
-        .status(400)
-        .json({ error: "Missing 'message' in request body." });
-    }
-
-    const session = getOrCreateSession(sessionId);
+// ------------------------- auth -------------------------------------------
 
-    session.messages.push({
-      role: "user",
-      content: message,
-    });
+const PUBLIC_API_PATHS = new Set([
+  "/auth/login",
+  "/auth/signup",
+  "/auth/status",
+]);
 
-    const result = await generateWithFallback(session);
+// "Authorization: Bearer <token>", or "X-API-Key: <token>" for scripts.
+function requestToken(req) {
+  const match = (req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get("x-api-key") || null;
+}
 
-    session.messages.push({
-      role: "assistant",
-      content: result.text,
-    });
+// Sets req.user (or null) on every /api request and turns away anonymous
+// callers when auth is required.
+app.use("/api", async (req, res, next) => {
+  try {
+    const token = requestToken(req);
+    const resolved = token ? await authStore.resolve(token) : null;
+    req.user = resolved?.user || null;
+    req.authToken = resolved?.token || null;
 
-    res.json({
-      assistantText: result.text,
-      modelUsed: result.modelUsed,
-      fromFallback: result.fromFallback,
-      sessionId: session.id,
+    if (AUTH_MODE === "off" || req.user || PUBLIC_API_PATHS.has(req.path)) {
+      return next();
+    }
+    res.status(401).json({
+      error: token ? "Invalid or expired token." : "Authentication required.",
     });
   } catch (err) {
-    console.error("[/api/chat] Unhandled error:", err);
-
-    res.status(500).json({
-      error:
-        err?.message ||
-        "Unexpected error in /api/chat (check server logs for details).",
-    });
+    next(err);
   }
 });
 
-// ------------------------- /api/upload ------------------------------------
-
-app.post("/api/upload", async (req, res) => {
-  res.setTimeout(10 * 60 * 1000);
+// ------------------------- usage and limits -------------------------------
 
-  try {
-    const {
-      sessionId,
-      fileName,
-      fileType,
-      fileSize,
-      fileContent,
-      instructions,
-    } = req.body || {};
+// Whose quota a request counts against.
+function usageKey(req) {
+  return req.user ? req.user.id : `ip:${req.ip}`;
+}
 
-    if (!fileName) {
-      return res
-        .status(400)
-        .json({ error: "Missing 'fileName' in request body." });
+// Throws a 429 when the caller is over the daily token quota or the
+// per-minute request rate. Only generation requests count.
+async function enforceLimits(req) {
+  const key = usageKey(req);
+
+  if (DAILY_TOKEN_QUOTA) {
+    const used = await usageLedger.tokensToday(key);
+    if (used >= DAILY_TOKEN_QUOTA) {
+      const retryAfterSec = Math.ceil((nextUtcMidnight() - Date.now()) / 1000);
+      throw new HttpError(
+        429,
+        `Daily token quota reached (${used} of ${DAILY_TOKEN_QUOTA} tokens used today). ` +
+          `It resets at 00:00 UTC, in about ${Math.ceil(retryAfterSec / 3600)}h.`,
+        { "Retry-After": String(retryAfterSec) }
+      );
     }
+  }
 
-    const session = getOrCreateSession(sessionId);
+  enforceRateLimit(req);
+}
 
-    const humanSize =
-      typeof fileSize === "number"
-        ? `${(fileSize / 1024).toFixed(1)} KB`
-        : "unknown size";
+function enforceRateLimit(req) {
+  const rate = rateLimiter.hit(usageKey(req));
+  if (!rate.ok) {
+    throw new HttpError(
+      429,
+      `Rate limit reached: at most ${RATE_LIMIT_PER_MINUTE} requests per minute. ` +
+        `Try again in ${rate.retryAfterSec}s.`,
+      { "Retry-After": String(rate.retryAfterSec) }
+    );
+  }
+}
 
-    let messageForModel = "";
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0 };
+}
 
-    if (
-      typeof fileContent === "string" &&
-      fileContent.trim().length > 0 &&
-      fileContent.length <= 200000
-    ) {
-      messageForModel = `
-The user uploaded a code file for review/refactor.
+// Add the turn's metered usage to the session totals and the usage log.
+// Returns the turn totals. The caller saves the session.
+async function chargeTurn(userKey, route, session, meter, log = logger) {
+  const turn = meter.totals();
+  if (!turn.calls) return turn;
 
-File name: ${fileName}
-MIME type: ${fileType || "unknown"}
-Size: ${humanSize}
+  const total = session.usage || emptyUsage();
+  session.usage = {
+    inputTokens: total.inputTokens + turn.inputTokens,
+    outputTokens: total.outputTokens + turn.outputTokens,
+    costUsd: total.costUsd + turn.costUsd,
+    calls: total.calls + turn.calls,
+  };
 
-Here is the full (or near full) content of the file:
+  try {
+    await usageLedger.record({
+      at: Date.now(),
+      user: userKey,
+      session: session.id,
+      route,
+      inputTokens: turn.inputTokens,
+      outputTokens: turn.outputTokens,
+      costUsd: turn.costUsd,
+      calls: turn.calls,
+      models: turn.models,
+    });
+  } catch (err) {
+    log.error("Could not write usage log", { tag: "Usage", err });
+  }
 
-${fileContent}
+  log.info("Turn charged", {
+    tag: "Usage",
+    route,
+    sessionId: session.id,
+    inputTokens: turn.inputTokens,
+    outputTokens: turn.outputTokens,
+    costUsd: Number(turn.costUsd.toFixed(6)),
+    calls: turn.calls,
+    estimated: turn.estimated,
+  });
+  return turn;
+}
 
-USER REQUEST / CONTEXT:
-${instructions || "Refactor and improve this code. Fix bugs and improve structure."}
+// What the client sees about a turn's usage.
+function turnUsage(turn) {
+  return {
+    inputTokens: turn.inputTokens,
+    outputTokens: turn.outputTokens,
+    costUsd: turn.costUsd,
+    calls: turn.calls,
+    estimated: turn.estimated,
+  };
+}
 
-Please refactor and improve this code. Output the full improved version, not just bullet points.
-      `.trim();
-    } else if (
-      typeof fileContent === "string" &&
-      fileContent.trim().length > 0
-    ) {
-      const MAX_CHARS = 200000;
-      const half = Math.floor(MAX_CHARS / 2);
-      const head = fileContent.slice(0, half);
-      const tail = fileContent.slice(-half);
-      const omitted = fileContent.length - MAX_CHARS;
+// ------------------------- GENERATION ROUTES ------------------------------
+
+// Open a Server-Sent Events response. Returns send(event, data).
+function openEventStream(req, res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Comment lines keep idle proxies (Render, nginx) from closing the socket
+  // while the model is still reasoning.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => clearInterval(heartbeat));
+  res.on("finish", () => clearInterval(heartbeat));
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
 
-      messageForModel = `
-The user uploaded a very large code file for review/refactor.
+// Generation routes by kind ("chat", "upload"), for POST /api/jobs.
+const generationKinds = {};
 
-File name: ${fileName}
-MIME type: ${fileType || "unknown"}
-Size: ${humanSize}
-Original length (chars): ${fileContent.length}
-NOTE: Content has been truncated to fit within model limits. Approximately ${omitted} characters omitted.
+// The request's text inputs with secrets masked, each attributed to the
+// input (or uploaded file) it came from.
+function maskRequestSecrets(body, vault) {
+  const masked = { ...body };
+  for (const field of ["message", "instructions"]) {
+    if (typeof body[field] === "string") {
+      masked[field] = vault.mask(body[field], field);
+    }
+  }
+  if (typeof body.fileContent === "string") {
+    masked.fileContent = vault.mask(body.fileContent, body.fileName || "file");
+  }
+  if (Array.isArray(body.files)) {
+    masked.files = body.files.map((f) =>
+      typeof f?.content === "string"
+        ? { ...f, content: vault.mask(f.content, f.path) }
+        : f
+    );
+  }
+  if (body.architect && typeof body.architect === "object") {
+    masked.architect = Object.fromEntries(
+      Object.entries(body.architect).map(([key, value]) => [
+        key,
+        typeof value === "string" ? vault.mask(value, `architect.${key}`) : value,
+      ])
+    );
+  }
+  return masked;
+}
 
---- BEGIN TRUNCATED CONTENT (HEAD) ---
-${head}
---- MIDDLE OMITTED ---
-${tail}
---- END TRUNCATED CONTENT ---
+// One vault per session that ever had a secret masked, holding every
+// placeholder in its history and workspace, so replies, the transcript,
+// exports and commits give back the real values. Like the turn vaults they
+// only live in memory: after a restart, older placeholders stay as they are.
+const sessionVaults = new Map();
+
+// The session's vault with `vault`'s secrets added.
+function sessionVault(sessionId, vault) {
+  let secrets = sessionVaults.get(sessionId);
+  if (!secrets && !vault.size) return vault;
+  if (!secrets) sessionVaults.set(sessionId, (secrets = createSecretVault()));
+  secrets.absorb(vault);
+  return secrets;
+}
 
-USER REQUEST / CONTEXT:
-${instructions || "Refactor and improve this code. Fix bugs and improve structure."}
+function restoreSecrets(sessionId, text) {
+  const secrets = sessionVaults.get(sessionId);
+  return secrets ? secrets.restore(text) : text;
+}
 
-Please refactor and improve this code. Focus on architecture, clarity, and obvious issues based on the visible portions. Output full revised code where possible.
-      `.trim();
-    } else {
-      messageForModel = `
-The user uploaded a non-text or unsupported file for refactoring.
+// A stored message as the caller sees it: content and architect inputs
+// with their secrets restored.
+function restoreMessage(sessionId, message) {
+  const secrets = sessionVaults.get(sessionId);
+  if (!secrets) return message;
+  const restored = { ...message, content: secrets.restore(message.content) };
+  if (message.architect && typeof message.architect === "object") {
+    restored.architect = Object.fromEntries(
+      Object.entries(message.architect).map(([key, value]) => [
+        key,
+        typeof value === "string" ? secrets.restore(value) : value,
+      ])
+    );
+  }
+  return restored;
+}
 
-File name: ${fileName}
-MIME type: ${fileType || "unknown"}
-Size: ${humanSize}
+// The workspace's files ({ path, content, ... }) with secrets restored.
+function restoredWorkspaceFiles(session) {
+  return Object.entries(workspaceOf(session).files).map(([path, file]) => ({
+    path,
+    ...file,
+    content: restoreSecrets(session.id, file.content),
+  }));
+}
 
-The raw contents are not available in this minimal webapp (e.g. .zip or .docx).
-Based on the user's description, provide high-level advice on how to refactor and improve the codebase, focusing on architecture, modularization, testing, and maintainability.
+// Masks the secrets in a turn's input (or refuses it, with
+// SECRET_SCAN=block). The built message is scanned again for whatever the
+// inputs didn't show directly, such as files inside an uploaded zip.
+function scanTurnInput(spec, rawBody) {
+  const vault = createSecretVault();
+  // A regeneration sends nothing new: its prompt was masked when stored.
+  if (SECRET_SCAN === "off" || spec.regenerate) {
+    return { vault, body: rawBody, built: spec.buildMessage(rawBody) };
+  }
 
-USER REQUEST / CONTEXT:
-${instructions || "High-level refactor strategy for this codebase."}
-      `.trim();
-    }
+  const body = maskRequestSecrets(rawBody, vault);
+  let built = spec.buildMessage(body);
+  built =
+    typeof built === "string"
+      ? vault.mask(built, "upload")
+      : { ...built, content: vault.mask(built.content, "upload") };
+
+  if (SECRET_SCAN === "block" && vault.found.length) {
+    throw new HttpError(
+      422,
+      `Refusing to send what looks like ${vault.found.length} secret(s) to ` +
+        `the model: ${describeSecrets(vault.found).join("; ")}. ` +
+        "Remove them and try again."
+    );
+  }
+  return { vault, body, built };
+}
 
-    session.messages.push({
-      role: "user",
-      content: messageForModel,
+// The profile a turn runs with: the request's `profile` (an id), else the
+// one a regenerated prompt `recorded`, else the session's. Profiles that
+// have since been deleted are skipped, down to the default one.
+async function turnProfile(requested, session, log, recorded = null) {
+  if (requested !== undefined && requested !== null) {
+    if (typeof requested !== "string" || !requested || requested.length > 100) {
+      throw new HttpError(400, "'profile' must be a profile id.");
+    }
+    const profile = await profileStore.get(requested);
+    if (!profile) throw new HttpError(400, `Unknown profile '${requested}'.`);
+    return profile;
+  }
+  for (const id of [recorded, session.profile]) {
+    if (!id) continue;
+    const profile = await profileStore.get(id);
+    if (profile) return profile;
+    log.warn("Profile no longer exists; skipping it", {
+      tag: "Profiles",
+      profile: id,
     });
+  }
+  return profileStore.get(DEFAULT_PROFILE_ID);
+}
+
+// Check a generation request and queue it as a job. Bad input, someone
+// else's session, secrets (when blocked) and exceeded limits throw
+// HttpError before anything is queued.
+async function submitGeneration(spec, req) {
+  const { vault, body, built } = scanTurnInput(
+    spec,
+    await spec.prepareBody(req.body || {})
+  );
+  const session = spec.regenerate
+    ? await loadSessionOr404(body.sessionId, req.user)
+    : await getOrCreateSession(body.sessionId, req.user);
+  if (spec.regenerate) latestReply(session, built.messageIndex);
+  if (built.files) {
+    const workspace = workspaceOf(session);
+    const missing = built.files.filter((p) => !hasFile(workspace, p));
+    if (missing.length) {
+      throw new HttpError(
+        400,
+        `Not in the session's workspace: ${missing.join(", ")}.`
+      );
+    }
+  }
+  const log = req.log.child({ sessionId: session.id });
+  const profile = await turnProfile(
+    body.profile,
+    session,
+    log,
+    spec.regenerate ? session.messages.at(-2)?.profile : null
+  );
+  await enforceLimits(req);
+
+  const turn = {
+    sessionId: session.id,
+    user: req.user,
+    userKey: usageKey(req),
+    requestId: req.id,
+    body,
+    built,
+    vault,
+    profile,
+  };
+  const job = jobQueue.submit({
+    kind: spec.kind,
+    sessionId: session.id,
+    owner: req.user?.id || null,
+    run: async ({ id, signal, emit }) => {
+      // The turn keeps changing the session's object between saves, so the
+      // store must not swap it for a fresh copy meanwhile.
+      const release = sessionStore.hold(session.id);
+      try {
+        return await runTurn(spec, turn, {
+          signal,
+          onEvent: emit,
+          jobId: id,
+          log: log.child({ jobId: id }),
+        });
+      } finally {
+        release();
+      }
+    },
+  });
+  log.info("Job submitted", {
+    tag: "Jobs",
+    jobId: job.id,
+    kind: spec.kind,
+    status: job.status,
+    profile: profile.id,
+    ...(vault.size ? { secretsMasked: vault.size } : {}),
+  });
+  return job;
+}
+
+// The session's last message, checked to be the reply at `messageIndex`
+// (with its prompt before it): only the latest reply can be regenerated in
+// place. Clients fork at an earlier one first.
+function latestReply(session, messageIndex) {
+  const last = session.messages.length - 1;
+  if (
+    messageIndex !== last ||
+    session.messages[last]?.role !== "assistant" ||
+    session.messages[last - 1]?.role !== "user"
+  ) {
+    throw new HttpError(
+      409,
+      `Message ${messageIndex} is not the session's latest reply; fork the ` +
+        "session there to regenerate it."
+    );
+  }
+  return session.messages[last];
+}
 
-    const result = await generateWithFallback(session);
+// A session deleted while one of its jobs ran must stay deleted.
+async function saveUnlessDeleted(session) {
+  if (await sessionStore.get(session.id)) await sessionStore.save(session);
+}
 
+// One turn: store the user message, generate, store the reply. Runs inside
+// a job, so the session is read again here; a job that waited behind
+// another one must see that job's messages. The prompt and its outcome go
+// to the audit log. History keeps secret placeholders; the session's vault
+// gives the caller the real values back. The user message records the
+// profile the turn ran with.
+//
+// A regeneration (spec.regenerate) answers the stored prompt again instead:
+// the old reply is taken out for the duration and put back if the new one
+// fails or is cancelled. A turn whose session was deleted meanwhile stops
+// as cancelled instead of writing the session back.
+
+async function runTurn(
+  spec,
+  { sessionId, user, userKey, requestId, body, built, vault, profile },
+  { signal, onEvent: emit, jobId, log }
+) {
+  const session = await getOrCreateSession(sessionId, user);
+  if (!session.title) session.title = spec.titleFor(body);
+
+  // Restores this turn's placeholders and any from earlier in the history.
+  const secrets = sessionVault(session.id, vault);
+  const restorer = createRestorer(secrets, (text) => emit("delta", { text }));
+  const onEvent = (event, data) => {
+    if (event === "delta") return restorer.push(data?.text || "");
+    if (event === "reset") restorer.reset();
+    emit(event, data);
+  };
+
+  let userMessage;
+  let replaced = null;
+  let recordedProfile;
+  if (spec.regenerate) {
+    replaced = latestReply(session, built.messageIndex);
+    session.messages.pop();
+    session.workspace = replayWorkspace(session.messages);
+    userMessage = session.messages[session.messages.length - 1];
+    recordedProfile = userMessage.profile;
+    userMessage.profile = profile.id;
+  } else {
+    userMessage =
+      typeof built === "string"
+        ? { role: "user", content: built, profile: profile.id }
+        : { role: "user", ...built, profile: profile.id };
+    session.messages.push(userMessage);
+  }
+  await sessionStore.save(session);
+
+  const auditBase = {
+    requestId,
+    jobId,
+    session: session.id,
+    user: userKey,
+    route: spec.routePath,
+  };
+  await audit({ ...auditBase, type: "prompt", text: userMessage.content });
+
+  const meter = createMeter(MODEL_PRICES);
+  const started = Date.now();
+  try {
+    const result = await spec.generate(session, body, {
+      onEvent,
+      meter,
+      signal,
+      log,
+      systemPrompt: profile.prompt,
+    });
+    if (signal.aborted) throw signal.reason;
+    restorer.finish();
+
+    const turn = await chargeTurn(
+      userKey,
+      spec.routePath,
+      session,
+      meter,
+      log
+    );
+    const complete = result.complete !== false;
+    const applied = applyReply(workspaceOf(session), result.text, {
+      messageIndex: session.messages.length,
+      edits: isEditPrompt(userMessage),
+    });
+    session.workspace = applied.workspace;
     session.messages.push({
       role: "assistant",
       content: result.text,
+      // Only cut-off replies are marked, so the transcript can flag them.
+      ...(complete ? {} : { complete: false }),
     });
+    if (!(await sessionStore.get(session.id))) {
+      throw new JobCancelledError("Session deleted.");
+    }
+    await sessionStore.save(session);
 
-    res.json({
-      assistantText: result.text,
+    log.info("Turn finished", {
+      tag: "Jobs",
+      model: result.modelUsed,
+      fromFallback: result.fromFallback,
+      profile: profile.id,
+      durationMs: Date.now() - started,
+      chars: result.text.length,
+      complete,
+      workspaceVersion: applied.workspace.version,
+      conflicts: applied.results.filter((r) => r.status === "conflict").length,
+    });
+    await audit({
+      ...auditBase,
+      type: "reply",
+      text: result.text,
+      model: result.modelUsed,
+      complete,
+      usage: turnUsage(turn),
+    });
+
+    return {
+      assistantText: secrets.restore(result.text),
       modelUsed: result.modelUsed,
       fromFallback: result.fromFallback,
+      compactedTurns: result.compactedTurns,
+      complete,
+      profile: { id: profile.id, name: profile.name },
+      secretsMasked: vault.size,
+      workspace: {
+        version: applied.workspace.version,
+        files: Object.keys(applied.workspace.files).length,
+        results: applied.results,
+      },
+      usage: turnUsage(turn),
       sessionId: session.id,
-    });
+    };
   } catch (err) {
-    console.error("[/api/upload] Unhandled error:", err);
+    const cancelled = signal.aborted || err instanceof JobCancelledError;
+    const reason = signal.aborted ? signal.reason : err;
+    if (replaced) {
+      userMessage.profile = recordedProfile;
+      session.messages.push(replaced);
+      session.workspace = replayWorkspace(session.messages);
+    } else if (cancelled) {
+      // A cancelled turn leaves nothing behind in the history, unless a
+      // fork, edit or reset already took the message out.
+      const index = session.messages.indexOf(userMessage);
+      if (index !== -1) session.messages.splice(index, 1);
+    }
+    if (cancelled) {
+      log.info("Turn cancelled", {
+        tag: "Jobs",
+        reason: reason?.message,
+        durationMs: Date.now() - started,
+      });
+    } else {
+      log.error("Generation failed", {
+        tag: "Jobs",
+        durationMs: Date.now() - started,
+        err,
+      });
+    }
+    await audit({
+      ...auditBase,
+      type: cancelled ? "cancelled" : "error",
+      error: reason?.message || String(reason),
+    });
 
-    res.status(500).json({
-      error:
-        err?.message ||
-        "Unexpected error in /api/upload (likely file too large or model timeout).",
+    // Failed and cancelled turns still cost whatever the attempts used.
+    try {
+      await chargeTurn(userKey, spec.routePath, session, meter, log);
+      await saveUnlessDeleted(session);
+    } catch (saveErr) {
+      log.error("Could not save session", { tag: "Jobs", err: saveErr });
+    }
+    throw err;
+  }
+}
+
+function sendGenerationError(req, res, err, errorHint) {
+  if (err instanceof HttpError) return sendHttpError(res, err);
+  req.log.error("Unhandled error", { err });
+  res.status(500).json({ error: err?.message || errorHint });
+}
+
+// The JSON and stream routes wait for their job: a client that goes away
+// (closed tab, aborted fetch) cancels it so it stops costing tokens.
+function cancelOnDisconnect(req, res, job) {
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    if (jobQueue.cancel(job, "Client disconnected.")) {
+      req.log.info("Job cancelled: client disconnected", {
+        tag: "Jobs",
+        jobId: job.id,
+      });
+    }
+  });
+}
+
+// Registers `routePath` (single JSON reply) and `${routePath}/stream`
+// (Server-Sent Events), and makes `kind` available to POST /api/jobs.
+//   buildMessage(body)  the user message (a string, or { content, ...meta }
+//                       to store extra fields on it), or throws HttpError
+//   titleFor(body)      sidebar title for a session's first turn
+//   generate(session, body, { onEvent, meter, signal, log, systemPrompt })
+//                       produces the reply; defaults to generateWithFallback
+//   regenerate          answer the session's stored prompt again (see
+//                       runTurn); buildMessage returns { messageIndex }
+function registerGenerationRoute(
+  routePath,
+  {
+    kind,
+    buildMessage,
+    titleFor,
+    errorHint,
+    generate = (session, body, options) =>
+      generateWithFallback(session, options),
+    // Async work on the request body before buildMessage (which is sync).
+    prepareBody = (body) => body,
+    regenerate = false,
+  }
+) {
+  const spec = {
+    kind,
+    routePath,
+    prepareBody,
+    buildMessage,
+    titleFor,
+    generate,
+    regenerate,
+  };
+  generationKinds[kind] = spec;
+
+  app.post(routePath, async (req, res) => {
+    res.setTimeout(10 * 60 * 1000); // 10 minutes
+
+    let job;
+    try {
+      job = await submitGeneration(spec, req);
+    } catch (err) {
+      return sendGenerationError(req, res, err, errorHint);
+    }
+    cancelOnDisconnect(req, res, job);
+    await job.done;
+
+    if (job.status === "done") {
+      return res.json({ ...job.result, jobId: job.id });
+    }
+    if (job.status === "cancelled") {
+      return res.status(409).json({
+        error: `Generation cancelled: ${job.error.message}`,
+        jobId: job.id,
+      });
+    }
+    if (job.error instanceof HttpError) return sendHttpError(res, job.error);
+    res.status(500).json({ error: job.error?.message || errorHint });
+  });
+
+  app.post(`${routePath}/stream`, async (req, res) => {
+    res.setTimeout(10 * 60 * 1000);
+
+    let job;
+    try {
+      job = await submitGeneration(spec, req);
+    } catch (err) {
+      return sendGenerationError(req, res, err, errorHint);
+    }
+    cancelOnDisconnect(req, res, job);
+
+    const send = openEventStream(req, res);
+    send("session", { sessionId: job.sessionId });
+    send("job", { jobId: job.id, status: job.status });
+    // Whatever the job produced before we subscribed.
+    if (job.text) send("delta", { text: job.text });
+
+    await new Promise((resolve) => {
+      jobQueue.subscribe(job, (event, data) => {
+        if (event === "status") {
+          send("job", { jobId: job.id, status: data.status });
+        } else if (event !== "finished") {
+          send(event, data);
+        } else {
+          if (job.status === "done") {
+            const { assistantText, ...meta } = job.result;
+            send("done", meta);
+          } else if (job.status === "cancelled") {
+            send("cancelled", { jobId: job.id, reason: job.error.message });
+          } else {
+            send("error", { error: job.error?.message || errorHint });
+          }
+          resolve();
+        }
+      });
     });
+    res.end();
+  });
+}
+
+// ------------------------- /api/chat --------------------------------------
+
+const MAX_ARCHITECT_FIELDS = 50;
+const MAX_ARCHITECT_FIELD_CHARS = 20000;
+
+// Prompt Architect inputs ({ fieldId: value }) sent along with a prompt it
+// built, so the architect can be reopened pre-filled from the session.
+// `field` names the body field in the error message.
+function architectInputs(architect, field = "architect") {
+  const entries =
+    architect && typeof architect === "object" && !Array.isArray(architect)
+      ? Object.entries(architect)
+      : null;
+  if (
+    !entries ||
+    entries.length > MAX_ARCHITECT_FIELDS ||
+    entries.some(
+      ([, value]) =>
+        typeof value !== "string" || value.length > MAX_ARCHITECT_FIELD_CHARS
+    )
+  ) {
+    throw new HttpError(
+      400,
+      `'${field}' must map at most ${MAX_ARCHITECT_FIELDS} field names to strings.`
+    );
+  }
+  return Object.fromEntries(entries);
+}
+
+const MAX_EDIT_TARGETS = 200;
+
+// mode "edit" asks for targeted edits to the session's workspace (see
+// workspace.mjs) instead of full files; `files` narrows the workspace
+// files the model is shown.
+function editOptions({ mode, files }) {
+  if (mode === undefined || mode === "full") {
+    if (files !== undefined) {
+      throw new HttpError(400, "'files' only applies with mode 'edit'.");
+    }
+    return null;
+  }
+  if (mode !== "edit") {
+    throw new HttpError(400, "'mode' must be 'full' or 'edit'.");
   }
+  if (
+    files !== undefined &&
+    (!Array.isArray(files) ||
+      files.length > MAX_EDIT_TARGETS ||
+      files.some((f) => typeof f !== "string" || !f))
+  ) {
+    throw new HttpError(
+      400,
+      `'files' must list at most ${MAX_EDIT_TARGETS} workspace paths.`
+    );
+  }
+  return { mode, ...(files?.length ? { files: [...new Set(files)] } : {}) };
+}
+
+function buildChatMessage({ message, architect, mode, files }) {
+  if (!message || typeof message !== "string") {
+    throw new HttpError(400, "Missing 'message' in request body.");
+  }
+  const edit = editOptions({ mode, files });
+  if (architect === undefined && !edit) return message;
+  return {
+    content: message,
+    ...(architect === undefined
+      ? {}
+      : { architect: architectInputs(architect) }),
+    ...edit,
+  };
+}
+
+registerGenerationRoute("/api/chat", {
+  kind: "chat",
+  buildMessage: buildChatMessage,
+  // A superprompt starts with boilerplate; its project name reads better.
+  titleFor: ({ message, architect }) =>
+    titleFromText(architect?.projectName || message),
+  errorHint: "Unexpected error in /api/chat (check server logs for details).",
+});
+
+// ------------------------- /api/regenerate --------------------------------
+
+// { sessionId, messageIndex, profile? }: a new answer to the prompt behind
+// the session's latest reply, which it replaces. Uses the profile that
+// prompt ran with unless `profile` says otherwise. Secrets in the prompt
+// stay masked, so the new reply keeps their placeholders.
+registerGenerationRoute("/api/regenerate", {
+  kind: "regenerate",
+  regenerate: true,
+  buildMessage: ({ sessionId, messageIndex }) => {
+    if (typeof sessionId !== "string" || !sessionId) {
+      throw new HttpError(400, "Missing 'sessionId' in request body.");
+    }
+    if (!Number.isInteger(messageIndex) || messageIndex < 1) {
+      throw new HttpError(400, "'messageIndex' must be the reply's index.");
+    }
+    return { messageIndex };
+  },
+  titleFor: () => "Untitled session",
+  errorHint:
+    "Unexpected error in /api/regenerate (check server logs for details).",
 });
 
+// ------------------------- /api/upload ------------------------------------
+
+// Share of the smallest chain model window a project upload may fill, leaving room
+// for the system prompt and the rest of the session.
+const PROJECT_CONTEXT_SHARE = 0.75;
+
+// Several files ({ files: [{ path, content }] }) or a zip
+// ({ archive: { fileName, base64 } }) sent as one structured message.
+// Files read from a git repository (see withRepoFiles) keep their
+// repository-relative paths, so the reply can be committed back.
+function buildProjectUploadMessage({
+  fileName,
+  files,
+  archive,
+  instructions,
+  repo,
+  repoSkipped,
+}) {
+  let collected;
+  try {
+    collected = collectUploadedFiles(
+      { files, archive },
+      { unwrap: repo === undefined }
+    );
+  } catch (err) {
+    throw new HttpError(400, `Could not read the uploaded archive: ${err.message}`);
+  }
+  if (repoSkipped) collected.skipped.push(...repoSkipped);
+
+  if (!collected.files.length) {
+    throw new HttpError(
+      400,
+      "No text files found in the upload (everything was binary or in an ignored folder)."
+    );
+  }
+
+  // Must fit whichever model in the chain ends up answering.
+  const budgetTokens = Math.min(
+    ...MODEL_CHAIN.map((step) => inputBudgetFor(CONTEXT_BUDGETS, step.model))
+  );
+  const project = buildProjectContext(collected, {
+    budgetChars: tokensToChars(budgetTokens * PROJECT_CONTEXT_SHARE),
+  });
+
+  const name =
+    archive?.fileName || fileName || `${collected.files.length} uploaded files`;
+
+  const content = `
+The user uploaded a project for review/refactor.
+
+Project: ${name}
+Text files sent in full: ${project.included.length}
+Text files omitted to fit the context window: ${project.omitted.length}
+Files skipped (binary, dependencies, build output, lockfiles): ${project.skipped.length}
+
+${project.text}
+
+USER REQUEST / CONTEXT:
+${instructions || "Refactor and improve this project. Fix bugs and improve structure across files."}
+
+Please refactor across files, not one file at a time. Output every file you change in full, each starting with a // file: header using the paths above.
+  `.trim();
+
+  return {
+    content,
+    upload: {
+      fileName: name,
+      chars: content.length,
+      files: project.included.length,
+      ...(repo === undefined ? {} : { repo }),
+    },
+  };
+}
+
+const MAX_REPO_PATHS = 100;
+
+// { repo, paths? }: the repository's files (all, or those under `paths`)
+// are read here and added to `files`, as if the folder had been picked.
+async function withRepoFiles(body) {
+  // Only ever set here.
+  const { repoSkipped, ...rest } = body;
+  if (body.repo === undefined) return rest;
+
+  if (typeof body.repo !== "string" || !gitRepos.has(body.repo)) {
+    throw new HttpError(404, `Unknown repository '${body.repo}'.`);
+  }
+  const requested = body.paths ?? [];
+  if (!Array.isArray(requested) || requested.length > MAX_REPO_PATHS) {
+    throw new HttpError(
+      400,
+      `'paths' must be a list of at most ${MAX_REPO_PATHS} paths.`
+    );
+  }
+  const paths = requested.map((p) => {
+    const clean = typeof p === "string" ? normalizeUploadPath(p) : null;
+    if (!clean) throw new HttpError(400, `Invalid path in 'paths': ${p}`);
+    return clean;
+  });
+
+  const read = await gitRepos
+    .readFiles(body.repo, { paths })
+    .catch(gitHttpError);
+  if (!read.files.length) {
+    throw new HttpError(
+      400,
+      `No files in '${body.repo}'` +
+        (paths.length ? ` under ${paths.join(", ")}.` : ".")
+    );
+  }
+  return {
+    ...rest,
+    fileName:
+      rest.fileName ||
+      (paths.length ? `${body.repo}: ${paths.join(", ")}` : body.repo),
+    files: [...(Array.isArray(rest.files) ? rest.files : []), ...read.files],
+    repoSkipped: read.skipped,
+  };
+}
+
+function isChunkedUpload(body) {
+  return (
+    !Array.isArray(body.files) &&
+    !body.archive &&
+    typeof body.fileContent === "string" &&
+    body.fileContent.length > MAX_SINGLE_UPLOAD_CHARS &&
+    body.largeFileMode !== "quick"
+  );
+}
+
+function buildUploadMessage(body) {
+  if (Array.isArray(body.files) || body.archive) {
+    return buildProjectUploadMessage(body);
+  }
+
+  const { fileName, fileType, fileSize, fileContent, instructions } = body;
+
+  if (!fileName) {
+    throw new HttpError(400, "Missing 'fileName' in request body.");
+  }
+
+  const humanSize =
+    typeof fileSize === "number"
+      ? `${(fileSize / 1024).toFixed(1)} KB`
+      : "unknown size";
+
+  if (
+    typeof fileContent === "string" &&
+    fileContent.trim().length > 0 &&
+    fileContent.length <= MAX_SINGLE_UPLOAD_CHARS
+  ) {
+    const content = `
+The user uploaded a code file for review/refactor.
+
+File name: ${fileName}
+MIME type: ${fileType || "unknown"}
+Size: ${humanSize}
+
+Here is the full (or near full) content of the file:
+
+${fileContent}
+
+USER REQUEST / CONTEXT:
+${instructions || "Refactor and improve this code. Fix bugs and improve structure."}
+
+Please refactor and improve this code. Output the full improved version, not just bullet points.
+    `.trim();
+
+    return { content, upload: { fileName, chars: fileContent.length } };
+  }
+
+  if (isChunkedUpload(body)) {
+    // The file itself goes to generateChunked; history only records the ask.
+    const content = `
+The user uploaded a very large code file for a chunked refactor.
+
+File name: ${fileName}
+MIME type: ${fileType || "unknown"}
+Size: ${humanSize}
+Original length (chars): ${fileContent.length}
+NOTE: The file was split on function/class boundaries and each part was refactored separately with the instructions below, then stitched back together.
+
+USER REQUEST / CONTEXT:
+${instructions || "Refactor and improve this code. Fix bugs and improve structure."}
+    `.trim();
+
+    return { content, upload: { fileName, chars: fileContent.length } };
+  }
+
+  if (typeof fileContent === "string" && fileContent.trim().length > 0) {
+    const MAX_CHARS = MAX_SINGLE_UPLOAD_CHARS;
+    const half = Math.floor(MAX_CHARS / 2);
+    const head = fileContent.slice(0, half);
+    const tail = fileContent.slice(-half);
+    const omitted = fileContent.length - MAX_CHARS;
+
+    const content = `
+The user uploaded a very large code file for review/refactor.
+
+File name: ${fileName}
+MIME type: ${fileType || "unknown"}
+Size: ${humanSize}
+Original length (chars): ${fileContent.length}
+NOTE: Content has been truncated to fit within model limits. Approximately ${omitted} characters omitted.
+
+--- BEGIN TRUNCATED CONTENT (HEAD) ---
+${head}
+--- MIDDLE OMITTED ---
+${tail}
+--- END TRUNCATED CONTENT ---
+
+USER REQUEST / CONTEXT:
+${instructions || "Refactor and improve this code. Fix bugs and improve structure."}
+
+Please refactor and improve this code. Focus on architecture, clarity, and obvious issues based on the visible portions. Output full revised code where possible.
+    `.trim();
+
+    return { content, upload: { fileName, chars: fileContent.length } };
+  }
+
+  return `
+The user uploaded a non-text or unsupported file for refactoring.
+
+File name: ${fileName}
+MIME type: ${fileType || "unknown"}
+Size: ${humanSize}
+
+The raw contents are not available in this minimal webapp (e.g. .zip or .docx).
+Based on the user's description, provide high-level advice on how to refactor and improve the codebase, focusing on architecture, modularization, testing, and maintainability.
+
+USER REQUEST / CONTEXT:
+${instructions || "High-level refactor strategy for this codebase."}
+  `.trim();
+}
+
+registerGenerationRoute("/api/upload", {
+  kind: "upload",
+  prepareBody: withRepoFiles,
+  buildMessage: buildUploadMessage,
+  generate: (session, body, options) =>
+    isChunkedUpload(body)
+      ? generateChunked(session, body, options)
+      : generateWithFallback(session, options),
+  titleFor: ({ fileName, archive, files }) =>
+    titleFromText(
+      `Refactor: ${archive?.fileName || fileName || `${files?.length || 0} files`}`
+    ),
+  errorHint:
+    "Unexpected error in /api/upload (likely file too large or model timeout).",
+});
+
+// ------------------------- /api/sessions ----------------------------------
+
+// Wraps an async route so thrown HttpErrors become JSON error replies.
+function jsonRoute(label, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return sendHttpError(res, err);
+      }
+      req.log.error("Unhandled error", { route: label, err });
+      res.status(500).json({
+        error: err?.message || `Unexpected error in ${label}.`,
+      });
+    }
+  };
+}
+
+async function loadSessionOr404(id, user) {
+  const session = await sessionStore.get(id);
+  if (!session) {
+    throw new HttpError(404, `Session '${id}' not found.`);
+  }
+  assertOwner(session, user);
+  return session;
+}
+
+// Sessions `user` may see: their own, or every session with auth off.
+async function visibleSessions(user) {
+  const sessions = await sessionStore.list();
+  if (AUTH_MODE === "off") return sessions;
+  return sessions.filter((s) => user && s.owner === user.id);
+}
+
+function sessionDetails(session) {
+  return {
+    id: session.id,
+    title: session.title || null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    forkedFrom: session.forkedFrom || null,
+    profile: session.profile || null,
+    usage: session.usage || null,
+    messages: session.messages.map((m) => restoreMessage(session.id, m)),
+  };
+}
+
+app.get(
+  "/api/sessions",
+  jsonRoute("/api/sessions", async (req, res) => {
+    const sessions = await visibleSessions(req.user);
+    sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    res.json({ sessions });
+  })
+);
+
+// Deletes a session. Its queued jobs never start and running ones are
+// aborted and given a moment to settle, so they don't keep billing.
+async function deleteSession(id) {
+  const jobs = jobQueue.list({ sessionId: id });
+  for (const job of jobs) jobQueue.cancel(job, "Session deleted.");
+  await Promise.race([Promise.all(jobs.map((j) => j.done)), delay(2000)]);
+  await sessionStore.delete(id);
+  sessionVaults.delete(id);
+}
+
+// Wipes every session the caller can see.
+app.delete(
+  "/api/sessions",
+  jsonRoute("/api/sessions", async (req, res) => {
+    const sessions = await visibleSessions(req.user);
+    await Promise.all(sessions.map(({ id }) => deleteSession(id)));
+    res.json({ deleted: sessions.length });
+  })
+);
+
+app.get(
+  "/api/sessions/:id",
+  jsonRoute("/api/sessions/:id", async (req, res) => {
+    const session = await loadSessionOr404(req.params.id, req.user);
+    res.json(sessionDetails(session));
+  })
+);
+
+// Rename and/or set the default profile: { title?, profile? }. A null
+// profile goes back to the server default.
+app.patch(
+  "/api/sessions/:id",
+  jsonRoute("/api/sessions/:id", async (req, res) => {
+    const { title, profile } = req.body || {};
+    if (title === undefined && profile === undefined) {
+      throw new HttpError(400, "Provide 'title' or 'profile'.");
+    }
+    if (
+      title !== undefined &&
+      (typeof title !== "string" || !title.trim() || title.length > 200)
+    ) {
+      throw new HttpError(400, "'title' must be 1-200 characters.");
+    }
+
+    const session = await loadSessionOr404(req.params.id, req.user);
+    if (profile !== undefined) {
+      session.profile =
+        profile === null ? null : (await turnProfile(profile, session)).id;
+    }
+    if (title !== undefined) session.title = title.trim();
+    await sessionStore.save(session);
+    res.json(sessionDetails(session));
+  })
+);
+
+app.delete(
+  "/api/sessions/:id",
+  jsonRoute("/api/sessions/:id", async (req, res) => {
+    await loadSessionOr404(req.params.id, req.user);
+    await deleteSession(req.params.id);
+    res.json({ deleted: req.params.id });
+  })
+);
+
+// The session's workspace: { sessionId, version, files: [{ path, content,
+// version, messageIndex }] }, in the order the files were first written.
+app.get(
+  "/api/sessions/:id/workspace",
+  jsonRoute("/api/sessions/:id/workspace", async (req, res) => {
+    const session = await loadSessionOr404(req.params.id, req.user);
+    res.json({
+      sessionId: session.id,
+      version: workspaceOf(session).version,
+      files: restoredWorkspaceFiles(session),
+    });
+  })
+);
+
+// Branch a new session from this one: { messageIndex } keeps messages
+// 0..messageIndex (inclusive). Defaults to the whole history.
+app.post(
+  "/api/sessions/:id/fork",
+  jsonRoute("/api/sessions/:id/fork", async (req, res) => {
+    const source = await loadSessionOr404(req.params.id, req.user);
+    const lastIndex = source.messages.length - 1;
+    const { messageIndex = lastIndex, title } = req.body || {};
+
+    if (
+      !Number.isInteger(messageIndex) ||
+      messageIndex < 0 ||
+      messageIndex > lastIndex
+    ) {
+      throw new HttpError(
+        400,
+        `'messageIndex' must be an integer between 0 and ${lastIndex}.`
+      );
+    }
+
+    const now = Date.now();
+    const fork = {
+      id: newSessionId(),
+      owner: req.user?.id || null,
+      title:
+        typeof title === "string" && title.trim()
+          ? title.trim()
+          : `${source.title || "Untitled session"} (fork)`,
+      createdAt: now,
+      updatedAt: now,
+      forkedFrom: { sessionId: source.id, messageIndex },
+      profile: source.profile || null,
+      messages: source.messages
+        .slice(0, messageIndex + 1)
+        .map((m) => ({ ...m })),
+    };
+    // The files as they were at that point in the history.
+    fork.workspace = replayWorkspace(fork.messages);
+    await sessionStore.save(fork);
+    const secrets = sessionVaults.get(source.id);
+    if (secrets) sessionVault(fork.id, secrets);
+
+    res.status(201).json(sessionDetails(fork));
+  })
+);
+
+// ------------------------- /api/auth --------------------------------------
+
+function requireUser(req) {
+  if (!req.user) throw new HttpError(401, "Authentication required.");
+  return req.user;
+}
+
+app.get(
+  "/api/auth/status",
+  jsonRoute("/api/auth/status", async (req, res) => {
+    res.json({ mode: AUTH_MODE, signup: ALLOW_SIGNUP, user: req.user });
+  })
+);
+
+// { username, password } -> { token, expiresAt, user }
+app.post(
+  "/api/auth/login",
+  jsonRoute("/api/auth/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    const login = await authStore.login(username, password);
+    if (!login) {
+      throw new HttpError(401, "Wrong username or password.");
+    }
+    req.log.info("Login", { tag: "Auth", username: login.user.username });
+    res.json(login);
+  })
+);
+
+app.post(
+  "/api/auth/signup",
+  jsonRoute("/api/auth/signup", async (req, res) => {
+    if (!ALLOW_SIGNUP) {
+      throw new HttpError(403, "Signup is disabled on this server.");
+    }
+    const { username, password } = req.body || {};
+    const problem = credentialsProblem(username, password);
+    if (problem) throw new HttpError(400, problem);
+
+    const user = await authStore.createUser({ username, password });
+    if (!user) throw new HttpError(409, "That username is taken.");
+
+    req.log.info("Signup", { tag: "Auth", username: user.username });
+    res.status(201).json(await authStore.login(username, password));
+  })
+);
+
+app.post(
+  "/api/auth/logout",
+  jsonRoute("/api/auth/logout", async (req, res) => {
+    const user = requireUser(req);
+    if (req.authToken?.kind === "login") {
+      await authStore.revokeToken(user.id, req.authToken.id);
+    }
+    res.json({ ok: true });
+  })
+);
+
+// Long-lived API tokens for scripts. The raw token is only returned once.
+app.get(
+  "/api/auth/tokens",
+  jsonRoute("/api/auth/tokens", async (req, res) => {
+    const user = requireUser(req);
+    res.json({ tokens: await authStore.listApiTokens(user.id) });
+  })
+);
+
+app.post(
+  "/api/auth/tokens",
+  jsonRoute("/api/auth/tokens", async (req, res) => {
+    const user = requireUser(req);
+    const { name } = req.body || {};
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      throw new HttpError(400, "'name' must be 1-100 characters.");
+    }
+    res.status(201).json(await authStore.createApiToken(user.id, name.trim()));
+  })
+);
+
+app.delete(
+  "/api/auth/tokens/:id",
+  jsonRoute("/api/auth/tokens/:id", async (req, res) => {
+    const user = requireUser(req);
+    if (!(await authStore.revokeToken(user.id, req.params.id))) {
+      throw new HttpError(404, "Token not found.");
+    }
+    res.json({ deleted: req.params.id });
+  })
+);
+
+// ------------------------- /api/jobs --------------------------------------
+
+// Other users' jobs are reported as missing rather than forbidden.
+function loadJobOr404(id, user) {
+  const job = jobQueue.get(id);
+  if (!job || (AUTH_MODE !== "off" && job.owner !== user?.id)) {
+    throw new HttpError(404, `Job '${id}' not found.`);
+  }
+  return job;
+}
+
+// Start a generation in the background: { kind: "chat" | "upload", ... }
+// plus the body that route takes. Poll GET /api/jobs/:id for progress, the
+// partial text and finally the result.
+app.post(
+  "/api/jobs",
+  jsonRoute("/api/jobs", async (req, res) => {
+    const spec = generationKinds[req.body?.kind];
+    if (!spec) {
+      throw new HttpError(
+        400,
+        `'kind' must be one of: ${Object.keys(generationKinds).join(", ")}.`
+      );
+    }
+    const job = await submitGeneration(spec, req);
+    res.status(202).json(publicJob(job));
+  })
+);
+
+// ?sessionId=... narrows the list to one session.
+app.get(
+  "/api/jobs",
+  jsonRoute("/api/jobs", async (req, res) => {
+    const sessionId =
+      typeof req.query.sessionId === "string" && req.query.sessionId
+        ? req.query.sessionId
+        : undefined;
+    const jobs = jobQueue.list({
+      owner: AUTH_MODE === "off" ? undefined : req.user?.id,
+      sessionId,
+    });
+    res.json({ jobs: jobs.map(publicJob) });
+  })
+);
+
+app.get(
+  "/api/jobs/:id",
+  jsonRoute("/api/jobs/:id", async (req, res) => {
+    res.json(publicJob(loadJobOr404(req.params.id, req.user)));
+  })
+);
+
+// Cancel: a queued job never starts; a running one has its model call
+// aborted and its user message taken back out of the session.
+app.delete(
+  "/api/jobs/:id",
+  jsonRoute("/api/jobs/:id", async (req, res) => {
+    const job = loadJobOr404(req.params.id, req.user);
+    if (!jobQueue.cancel(job, "Cancelled by user.")) {
+      throw new HttpError(409, `Job already ${job.status}.`);
+    }
+    req.log.info("Job cancelled by user", { tag: "Jobs", jobId: job.id });
+
+    // Give the run a moment to settle so the reply shows the final state.
+    await Promise.race([job.done, delay(2000)]);
+    res.json(publicJob(job));
+  })
+);
+
+// ------------------------- /api/usage -------------------------------------
+
+// The caller's usage: today, the last 7 days, today's per-model breakdown,
+// their limits, and ?sessionId=...'s running total. Costs are estimates from
+// MODEL_PRICES.
+app.get(
+  "/api/usage",
+  jsonRoute("/api/usage", async (req, res) => {
+    const key = usageKey(req);
+    const report = await usageLedger.report(key, { days: 7 });
+    const usedToday = report.today.inputTokens + report.today.outputTokens;
+
+    let session = null;
+    const { sessionId } = req.query;
+    if (typeof sessionId === "string" && sessionId) {
+      // Unsaved (brand new) sessions simply have no usage yet.
+      const found = await sessionStore.get(sessionId);
+      if (found) {
+        assertOwner(found, req.user);
+        session = { id: found.id, ...(found.usage || emptyUsage()) };
+      }
+    }
+
+    const prices = {};
+    for (const { model } of MODEL_CHAIN) {
+      prices[model] = MODEL_PRICES[model] || MODEL_PRICES["*"];
+    }
+
+    res.json({
+      user: req.user?.username || null,
+      today: report.today,
+      days: report.days,
+      byModel: report.byModel,
+      session,
+      limits: {
+        requestsPerMinute: RATE_LIMIT_PER_MINUTE || null,
+        requestsLeftThisMinute: rateLimiter.remaining(key),
+        dailyTokenQuota: DAILY_TOKEN_QUOTA || null,
+        tokensLeftToday: DAILY_TOKEN_QUOTA
+          ? Math.max(0, DAILY_TOKEN_QUOTA - usedToday)
+          : null,
+        resetsAt: report.resetsAt,
+      },
+      pricesPerMillionTokens: prices,
+    });
+  })
+);
+
+// ------------------------- /api/admin/logs --------------------------------
+
+// Admins only (anyone when AUTH_MODE=off). ?sessionId= and/or ?requestId=
+// narrow it down; ?level= sets the lowest log level, ?limit= the number of
+// newest entries (default 200). Logs come from the in-memory buffer, so they
+// only reach back to the last restart; the audit trail is read from disk.
+app.get(
+  "/api/admin/logs",
+  jsonRoute("/api/admin/logs", async (req, res) => {
+    if (AUTH_MODE !== "off" && req.user?.role !== "admin") {
+      throw new HttpError(403, "Only admins can read the server logs.");
+    }
+    const param = (name) =>
+      typeof req.query[name] === "string" && req.query[name]
+        ? req.query[name]
+        : undefined;
+    const filter = {
+      sessionId: param("sessionId"),
+      requestId: param("requestId"),
+      limit: Math.min(Math.max(Number(req.query.limit) || 200, 1), 2000),
+    };
+
+    res.json({
+      ...filter,
+      logs: logger.recent({
+        ...filter,
+        level: param("level"),
+      }),
+      audit: auditLog ? await auditLog.query(filter) : [],
+    });
+  })
+);
+
+// ------------------------- /api/templates ---------------------------------
+
+const MAX_PRESETS_PER_SECTION = 50;
+
+// { presetFieldId: [{ label, value }] }: the options a team added to the
+// Prompt Architect's preset dropdowns.
+function templatePresets(presets) {
+  if (presets === undefined) return {};
+  const problem = new HttpError(
+    400,
+    `'presets' must map preset names to at most ${MAX_PRESETS_PER_SECTION} ` +
+      "{ label, value } options each."
+  );
+  if (!presets || typeof presets !== "object" || Array.isArray(presets)) {
+    throw problem;
+  }
+  const entries = Object.entries(presets);
+  if (entries.length > MAX_ARCHITECT_FIELDS) throw problem;
+
+  return Object.fromEntries(
+    entries.map(([section, options]) => {
+      if (
+        !Array.isArray(options) ||
+        options.length > MAX_PRESETS_PER_SECTION ||
+        options.some(
+          (o) =>
+            typeof o?.label !== "string" ||
+            !o.label.trim() ||
+            o.label.length > 100 ||
+            typeof o.value !== "string" ||
+            o.value.length > MAX_ARCHITECT_FIELD_CHARS
+        )
+      ) {
+        throw problem;
+      }
+      return [
+        section,
+        options.map((o) => ({ label: o.label.trim(), value: o.value })),
+      ];
+    })
+  );
+}
+
+// { name, inputs, presets } from a request body, validated.
+function templateFromBody(body) {
+  const { name, inputs, presets } = body || {};
+  if (typeof name !== "string" || !name.trim() || name.length > 100) {
+    throw new HttpError(400, "'name' must be 1-100 characters.");
+  }
+  return {
+    name: name.trim(),
+    inputs: architectInputs(inputs, "inputs"),
+    presets: templatePresets(presets),
+  };
+}
+
+function canEditTemplate(template, user) {
+  return (
+    AUTH_MODE === "off" ||
+    user?.role === "admin" ||
+    (!!user && template.owner === user.id)
+  );
+}
+
+function publicTemplate(template, user, { full = true } = {}) {
+  const { owner, inputs, presets, ...rest } = template;
+  return {
+    ...rest,
+    canEdit: canEditTemplate(template, user),
+    ...(full ? { inputs, presets } : {}),
+  };
+}
+
+async function loadTemplateOr404(id) {
+  const template = await templateStore.get(id);
+  if (!template) throw new HttpError(404, `Template '${id}' not found.`);
+  return template;
+}
+
+async function assertTemplateNameFree(name, exceptId = null) {
+  const existing = await templateStore.findByName(name);
+  if (existing && existing.id !== exceptId) {
+    throw new HttpError(
+      409,
+      `A template named '${existing.name}' already exists.`
+    );
+  }
+}
+
+// Everyone's templates, newest first, without their form contents.
+app.get(
+  "/api/templates",
+  jsonRoute("/api/templates", async (req, res) => {
+    const templates = await templateStore.list();
+    res.json({
+      templates: templates.map((t) =>
+        publicTemplate(t, req.user, { full: false })
+      ),
+    });
+  })
+);
+
+app.get(
+  "/api/templates/:id",
+  jsonRoute("/api/templates/:id", async (req, res) => {
+    const template = await loadTemplateOr404(req.params.id);
+    res.json(publicTemplate(template, req.user));
+  })
+);
+
+// { name, inputs: { fieldId: value }, presets?: { presetId: [{ label,
+// value }] } }. Names are unique (case-insensitive).
+app.post(
+  "/api/templates",
+  jsonRoute("/api/templates", async (req, res) => {
+    const fields = templateFromBody(req.body);
+    await assertTemplateNameFree(fields.name);
+    if ((await templateStore.list()).length >= MAX_TEMPLATES) {
+      throw new HttpError(
+        409,
+        `The server already holds ${MAX_TEMPLATES} templates.`
+      );
+    }
+
+    const template = await templateStore.create({
+      ...fields,
+      owner: req.user?.id || null,
+      ownerName: req.user?.username || null,
+    });
+    req.log.info("Template created", {
+      tag: "Templates",
+      templateId: template.id,
+      name: template.name,
+    });
+    res.status(201).json(publicTemplate(template, req.user));
+  })
+);
+
+// Replaces a template's name, inputs and presets.
+app.put(
+  "/api/templates/:id",
+  jsonRoute("/api/templates/:id", async (req, res) => {
+    const template = await loadTemplateOr404(req.params.id);
+    if (!canEditTemplate(template, req.user)) {
+      throw new HttpError(403, "Only the template's owner can change it.");
+    }
+    const fields = templateFromBody(req.body);
+    await assertTemplateNameFree(fields.name, template.id);
+
+    const updated = await templateStore.update(template.id, fields);
+    res.json(publicTemplate(updated, req.user));
+  })
+);
+
+app.delete(
+  "/api/templates/:id",
+  jsonRoute("/api/templates/:id", async (req, res) => {
+    const template = await loadTemplateOr404(req.params.id);
+    if (!canEditTemplate(template, req.user)) {
+      throw new HttpError(403, "Only the template's owner can delete it.");
+    }
+    await templateStore.delete(template.id);
+    req.log.info("Template deleted", {
+      tag: "Templates",
+      templateId: template.id,
+      name: template.name,
+    });
+    res.json({ deleted: template.id });
+  })
+);
+
+// ------------------------- /api/profiles ---------------------------------
+
+// { name, description?, prompt } from a request body, validated.
+function profileFromBody(body) {
+  const { name, description = "", prompt } = body || {};
+  if (typeof name !== "string" || !name.trim() || name.length > 100) {
+    throw new HttpError(400, "'name' must be 1-100 characters.");
+  }
+  if (typeof description !== "string" || description.length > 300) {
+    throw new HttpError(400, "'description' must be at most 300 characters.");
+  }
+  if (
+    typeof prompt !== "string" ||
+    !prompt.trim() ||
+    prompt.length > MAX_PROFILE_PROMPT_CHARS
+  ) {
+    throw new HttpError(
+      400,
+      `'prompt' must be 1-${MAX_PROFILE_PROMPT_CHARS} characters.`
+    );
+  }
+  return {
+    name: name.trim(),
+    description: description.trim(),
+    prompt: prompt.trim(),
+  };
+}
+
+function canEditProfile(profile, user) {
+  return (
+    !profile.builtIn &&
+    (AUTH_MODE === "off" ||
+      user?.role === "admin" ||
+      (!!user && profile.owner === user.id))
+  );
+}
+
+function publicProfile(profile, user) {
+  const { owner, ...rest } = profile;
+  return {
+    ...rest,
+    builtIn: !!profile.builtIn,
+    canEdit: canEditProfile(profile, user),
+  };
+}
+
+async function loadProfileOr404(id) {
+  const profile = await profileStore.get(id);
+  if (!profile) throw new HttpError(404, `Profile '${id}' not found.`);
+  return profile;
+}
+
+async function assertProfileNameFree(name, exceptId = null) {
+  const existing = await profileStore.findByName(name);
+  if (existing && existing.id !== exceptId) {
+    throw new HttpError(
+      409,
+      `A profile named '${existing.name}' already exists.`
+    );
+  }
+}
+
+// Built-ins first, then everyone's own, with their prompts.
+app.get(
+  "/api/profiles",
+  jsonRoute("/api/profiles", async (req, res) => {
+    const profiles = await profileStore.list();
+    res.json({
+      defaultProfile: DEFAULT_PROFILE_ID,
+      profiles: profiles.map((p) => publicProfile(p, req.user)),
+    });
+  })
+);
+
+app.get(
+  "/api/profiles/:id",
+  jsonRoute("/api/profiles/:id", async (req, res) => {
+    const profile = await loadProfileOr404(req.params.id);
+    res.json(publicProfile(profile, req.user));
+  })
+);
+
+// { name, description?, prompt }. Names are unique (case-insensitive),
+// built-ins included.
+app.post(
+  "/api/profiles",
+  jsonRoute("/api/profiles", async (req, res) => {
+    const fields = profileFromBody(req.body);
+    await assertProfileNameFree(fields.name);
+    if ((await profileStore.count()) >= MAX_PROFILES) {
+      throw new HttpError(
+        409,
+        `The server already holds ${MAX_PROFILES} profiles.`
+      );
+    }
+
+    const profile = await profileStore.create({
+      ...fields,
+      owner: req.user?.id || null,
+      ownerName: req.user?.username || null,
+    });
+    req.log.info("Profile created", {
+      tag: "Profiles",
+      profileId: profile.id,
+      name: profile.name,
+    });
+    res.status(201).json(publicProfile(profile, req.user));
+  })
+);
+
+// Replaces a profile's name, description and prompt.
+app.put(
+  "/api/profiles/:id",
+  jsonRoute("/api/profiles/:id", async (req, res) => {
+    const profile = await loadProfileOr404(req.params.id);
+    if (!canEditProfile(profile, req.user)) {
+      throw new HttpError(
+        403,
+        profile.builtIn
+          ? "Built-in profiles can't be changed."
+          : "Only the profile's owner can change it."
+      );
+    }
+    const fields = profileFromBody(req.body);
+    await assertProfileNameFree(fields.name, profile.id);
+
+    const updated = await profileStore.update(profile.id, fields);
+    res.json(publicProfile(updated, req.user));
+  })
+);
+
+// Sessions that used it fall back to the default profile.
+app.delete(
+  "/api/profiles/:id",
+  jsonRoute("/api/profiles/:id", async (req, res) => {
+    const profile = await loadProfileOr404(req.params.id);
+    if (!canEditProfile(profile, req.user)) {
+      throw new HttpError(
+        403,
+        profile.builtIn
+          ? "Built-in profiles can't be deleted."
+          : "Only the profile's owner can delete it."
+      );
+    }
+    await profileStore.delete(profile.id);
+    req.log.info("Profile deleted", {
+      tag: "Profiles",
+      profileId: profile.id,
+      name: profile.name,
+    });
+    res.json({ deleted: profile.id });
+  })
+);
+
+// ------------------------- /api/coverage ----------------------------------
+
+// Inputs of the latest architect prompt at or before `index`, so replies to
+// follow-ups ("fill the gaps") are checked against the same spec.
+function architectBefore(messages, index) {
+  for (let i = index; i >= 0; i--) {
+    if (messages[i].role === "user" && messages[i].architect) {
+      return messages[i].architect;
+    }
+  }
+  return null;
+}
+
+// The model pass of a coverage check, run as a job: { report, usage }.
+async function checkCoverageWithModel(session, items, text, options) {
+  const { userKey, signal, log } = options;
+  const meter = createMeter(MODEL_PRICES);
+  const checkSession = {
+    id: `${session.id}#coverage`,
+    messages: [{ role: "user", content: verifyPrompt({ items, text }) }],
+  };
+
+  let report = null;
+  let checkError = null;
+  try {
+    const check = await generateWithFallback(checkSession, {
+      meter,
+      signal,
+      log,
+    });
+    if (signal.aborted) throw signal.reason;
+    report = applyModelVerdicts(items, check.text);
+  } catch (err) {
+    checkError = err;
+  }
+
+  // Charged to the session it checked; re-read so a turn that finished
+  // meanwhile isn't overwritten.
+  const fresh = (await sessionStore.get(session.id)) || session;
+  const usage = turnUsage(
+    await chargeTurn(userKey, "/api/coverage", fresh, meter, log)
+  );
+  await saveUnlessDeleted(fresh);
+
+  if (signal.aborted) throw signal.reason;
+  if (checkError) {
+    log.error("Model check failed", { tag: "Coverage", err: checkError });
+    throw new HttpError(
+      502,
+      `The model check failed: ${checkError.message || checkError}`
+    );
+  }
+  return { report, usage };
+}
+
+// Check an assistant reply against the features and non-negotiables of the
+// Prompt Architect spec behind it (see spec-coverage.mjs).
+// Body: { sessionId, messageIndex? (default: latest reply), architect?
+// (override the stored inputs), withModel? }. withModel adds a model pass,
+// run as a "coverage" job after the session's queued turns, which counts
+// against the caller's limits and usage.
+// Returns { items, summary, followUp, usage, checkedBy }; followUp is the
+// "fill the gaps" prompt, or null when nothing is missing.
+app.post(
+  "/api/coverage",
+  jsonRoute("/api/coverage", async (req, res) => {
+    const { sessionId, messageIndex, architect, withModel } = req.body || {};
+    if (typeof sessionId !== "string" || !sessionId) {
+      throw new HttpError(400, "Missing 'sessionId' in request body.");
+    }
+    const session = await loadSessionOr404(sessionId, req.user);
+
+    const index =
+      messageIndex === undefined
+        ? session.messages.findLastIndex((m) => m.role === "assistant")
+        : messageIndex;
+    const reply = Number.isInteger(index) ? session.messages[index] : null;
+    if (!reply || reply.role !== "assistant") {
+      throw new HttpError(400, "No assistant reply to check.");
+    }
+
+    const inputs =
+      architect === undefined
+        ? architectBefore(session.messages, index)
+        : architectInputs(architect);
+    const checklist = checklistFrom(inputs || {});
+    if (!checklist.length) {
+      throw new HttpError(
+        400,
+        "This reply has no Prompt Architect features or non-negotiables " +
+          "to check against."
+      );
+    }
+
+    let report = analyzeCoverage(checklist, reply.content);
+    let usage = null;
+
+    if (withModel) {
+      await enforceLimits(req);
+      res.setTimeout(10 * 60 * 1000);
+      const log = req.log.child({ sessionId: session.id });
+      const items = report.items;
+      const userKey = usageKey(req);
+      // A job like any turn: queued behind the session's other jobs and
+      // cancellable through /api/jobs.
+      const job = jobQueue.submit({
+        kind: "coverage",
+        sessionId: session.id,
+        owner: req.user?.id || null,
+        run: ({ id, signal }) =>
+          checkCoverageWithModel(session, items, reply.content, {
+            userKey,
+            signal,
+            log: log.child({ jobId: id }),
+          }),
+      });
+      log.info("Job submitted", {
+        tag: "Jobs",
+        jobId: job.id,
+        kind: job.kind,
+        status: job.status,
+      });
+      cancelOnDisconnect(req, res, job);
+      await job.done;
+
+      if (job.status === "cancelled") {
+        throw new HttpError(
+          409,
+          `Coverage check cancelled: ${job.error.message}`
+        );
+      }
+      if (job.status !== "done") throw job.error;
+      ({ report, usage } = job.result);
+    }
+
+    req.log.info("Coverage checked", {
+      tag: "Coverage",
+      sessionId: session.id,
+      messageIndex: index,
+      implemented: report.summary.implemented,
+      total: report.summary.total,
+    });
+    res.json({
+      sessionId: session.id,
+      messageIndex: index,
+      checkedBy: withModel ? "model" : "heuristic",
+      ...report,
+      followUp: gapPrompt(report.items),
+      usage,
+    });
+  })
+);
+
+// ------------------------- /api/validate ----------------------------------
+
+// Syntax-check the files of an assistant reply, and optionally run the
+// project's tests, in the sandbox (see sandbox.mjs).
+// Body: { text } or { sessionId, messageIndex? } (default: latest reply),
+// plus tests?: true. Test runs count against the rate limit.
+// Returns the sandbox report plus testsEnabled and followUp, the "fix these
+// errors" prompt (null when everything passed).
+app.post(
+  "/api/validate",
+  jsonRoute("/api/validate", async (req, res) => {
+    const { text, sessionId, messageIndex, tests } = req.body || {};
+
+    let source = text;
+    let index = null;
+    if (typeof source !== "string") {
+      if (typeof sessionId !== "string" || !sessionId) {
+        throw new HttpError(400, "Provide 'text' or 'sessionId'.");
+      }
+      const session = await loadSessionOr404(sessionId, req.user);
+      index =
+        messageIndex === undefined
+          ? session.messages.findLastIndex((m) => m.role === "assistant")
+          : messageIndex;
+      const reply = Number.isInteger(index) ? session.messages[index] : null;
+      if (!reply || reply.role !== "assistant") {
+        throw new HttpError(400, "No assistant reply to validate.");
+      }
+      source = reply.content;
+    }
+
+    if (tests) {
+      if (!sandbox.testsEnabled) {
+        throw new HttpError(
+          403,
+          SANDBOX_RUN_TESTS === "off"
+            ? "Test runs are turned off on this server (SANDBOX_RUN_TESTS)."
+            : "Test runs need network isolation (unshare), which this " +
+                "host lacks."
+        );
+      }
+      enforceRateLimit(req);
+    }
+
+    const report = await sandbox.validate(source, { tests: !!tests });
+    if (!report.files.length) {
+      throw new HttpError(400, "The reply has no file blocks to validate.");
+    }
+
+    req.log.info("Validated", {
+      tag: "Validate",
+      files: report.summary.total,
+      errors: report.summary.errors,
+      ...(report.tests ? { tests: report.tests.status } : {}),
+    });
+    res.json({
+      sessionId: sessionId || null,
+      messageIndex: index,
+      ...report,
+      testsEnabled: sandbox.testsEnabled,
+      followUp: fixPrompt(report),
+    });
+  })
+);
+
+// ------------------------- /api/export ------------------------------------
+
+function exportNameFor(title) {
+  const slug = String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "unhinged-output"}.zip`;
+}
+
+// Zip the file blocks of an assistant reply.
+// Body: { text } or { sessionId, messageIndex? } (default: latest reply),
+// or { sessionId, workspace: true } for every file in the workspace.
+// Blocks with unsafe paths are left out and listed in X-Export-Rejected.
+app.post(
+  "/api/export",
+  jsonRoute("/api/export", async (req, res) => {
+    const { text, sessionId, messageIndex, workspace } = req.body || {};
+
+    let source = text;
+    let title = null;
+    let fromWorkspace = null;
+    if (typeof source !== "string") {
+      if (typeof sessionId !== "string") {
+        throw new HttpError(400, "Provide 'text' or 'sessionId'.");
+      }
+      const session = await loadSessionOr404(sessionId, req.user);
+      title = session.title;
+
+      let message;
+      if (workspace === true) {
+        fromWorkspace = restoredWorkspaceFiles(session).map(
+          ({ path, content }) => ({ path, content })
+        );
+      } else if (messageIndex === undefined) {
+        message = [...session.messages]
+          .reverse()
+          .find((m) => m.role === "assistant");
+      } else {
+        message = session.messages[messageIndex];
+      }
+      if (!fromWorkspace && (!message || message.role !== "assistant")) {
+        throw new HttpError(400, "No assistant reply to export.");
+      }
+      source = message && restoreSecrets(session.id, message.content);
+    }
+
+    // Workspace paths were checked when the files were written.
+    const { files, rejected } = fromWorkspace
+      ? { files: fromWorkspace, rejected: [] }
+      : filesForExport(source);
+    if (!files.length) {
+      throw new HttpError(400, "Nothing to export.");
+    }
+
+    const zip = createZip(files.map((f) => ({ path: f.path, data: f.content })));
+    req.log.info("Exported", {
+      tag: "Export",
+      files: files.length,
+      bytes: zip.length,
+      rejected: rejected.length,
+    });
+
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${exportNameFor(title)}"`,
+      "X-Export-Files": String(files.length),
+      "X-Export-Rejected": encodeURIComponent(
+        JSON.stringify(rejected.map((r) => r.path))
+      ),
+    });
+    res.send(zip);
+  })
+);
+
+// ------------------------- /api/git ---------------------------------------
+
+const GIT_ERROR_STATUS = {
+  "unknown-repo": 404,
+  "not-a-repo": 409,
+  "bad-branch": 400,
+  "branch-exists": 409,
+  unchanged: 400,
+};
+
+// GitErrors as HttpErrors; anything else (git itself failing) is passed on.
+function gitHttpError(err) {
+  if (err instanceof GitError && GIT_ERROR_STATUS[err.code]) {
+    throw new HttpError(GIT_ERROR_STATUS[err.code], err.message);
+  }
+  throw err;
+}
+
+// The prompt a reply answered, as a commit subject.
+function commitSubjectFor(messages, index) {
+  const prompt = messages[index - 1];
+  if (prompt?.role !== "user") return null;
+  if (prompt.upload?.fileName) return `Refactor ${prompt.upload.fileName}`;
+  return titleFromText(prompt.architect?.projectName || prompt.content, 72);
+}
+
+// The allow-listed repositories with their checked-out branch and whether
+// the work tree is clean (or the error that keeps them from being used).
+app.get(
+  "/api/git/repos",
+  jsonRoute("/api/git/repos", async (req, res) => {
+    res.json({ repos: await gitRepos.describe() });
+  })
+);
+
+// Commit the file blocks of an assistant reply to a new branch of an
+// allow-listed repository. The work tree and current branch are left alone.
+// Body: { repo, sessionId, messageIndex? (default: latest reply) } or
+// { repo, sessionId, workspace: true } or { repo, text }, plus branch?
+// (default "unhinged/<slug of the prompt>") and message? (default: built
+// from the prompt and the changed files).
+// Returns { repo, branch, base, commit, message, changes: [{ status, path }],
+// stat, diff, diffTruncated, rejected }.
+app.post(
+  "/api/git/commit",
+  jsonRoute("/api/git/commit", async (req, res) => {
+    const { repo, text, sessionId, messageIndex, workspace, branch, message } =
+      req.body || {};
+    if (typeof repo !== "string" || !gitRepos.has(repo)) {
+      throw new HttpError(404, `Unknown repository '${repo}'.`);
+    }
+    if (
+      message !== undefined &&
+      (typeof message !== "string" || !message.trim() || message.length > 10000)
+    ) {
+      throw new HttpError(400, "'message' must be 1-10000 characters.");
+    }
+
+    let source = text;
+    let subject = null;
+    let origin = null;
+    let fromWorkspace = null;
+    if (typeof source !== "string") {
+      if (typeof sessionId !== "string" || !sessionId) {
+        throw new HttpError(400, "Provide 'text' or 'sessionId'.");
+      }
+      const session = await loadSessionOr404(sessionId, req.user);
+      if (workspace === true) {
+        fromWorkspace = restoredWorkspaceFiles(session).map(
+          ({ path, content }) => ({ path, content })
+        );
+        subject = session.title;
+        origin = `Session workspace of "${session.title}" (${session.id}).`;
+      } else {
+        const index =
+          messageIndex === undefined
+            ? session.messages.findLastIndex((m) => m.role === "assistant")
+            : messageIndex;
+        const reply = Number.isInteger(index) ? session.messages[index] : null;
+        if (!reply || reply.role !== "assistant") {
+          throw new HttpError(400, "No assistant reply to commit.");
+        }
+        source = restoreSecrets(session.id, reply.content);
+        subject = commitSubjectFor(session.messages, index);
+        origin = `Reply #${index} of session "${session.title}" (${session.id}).`;
+      }
+    }
+
+    // Workspace paths were checked when the files were written.
+    const { files, rejected } = fromWorkspace
+      ? { files: fromWorkspace, rejected: [] }
+      : filesToWrite(source);
+    if (!files.length) {
+      throw new HttpError(400, "The reply has no file blocks to commit.");
+    }
+
+    const result = await gitRepos
+      .commitFiles(repo, {
+        files,
+        branch,
+        subject,
+        message,
+        source: origin && `Generated with Unhinged Codex. ${origin}`,
+      })
+      .catch(gitHttpError);
+
+    req.log.info("Committed", {
+      tag: "Git",
+      repo,
+      branch: result.branch,
+      commit: result.commit,
+      files: result.changes.length,
+      rejected: rejected.length,
+    });
+    await audit({
+      requestId: req.id,
+      session: sessionId || null,
+      user: usageKey(req),
+      route: "/api/git/commit",
+      type: "git-commit",
+      repo,
+      branch: result.branch,
+      commit: result.commit,
+      files: result.changes.map((c) => c.path),
+    });
+    res.json({ ...result, rejected });
+  })
+);
+
 // Fallback route – send index.html for unknown GETs
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
 
 app.listen(PORT, () => {
-  console.log(`Unhinged Codex server listening on port ${PORT}`);
+  logger.info(`Unhinged Codex server listening on port ${PORT}`, {
+    port: PORT,
+  });
+  logger.info(`Using ${sessionStore.kind} store`, {
+    tag: "SessionStore",
+    ...(sessionStore.kind === "file" ? { dir: SESSION_DIR } : {}),
+  });
+  logger.info(`Mode: ${AUTH_MODE}`, {
+    tag: "Auth",
+    signup: ALLOW_SIGNUP,
+  });
+  logger.info("Limits", {
+    tag: "Usage",
+    ratePerMinute: RATE_LIMIT_PER_MINUTE || null,
+    dailyTokenQuota: DAILY_TOKEN_QUOTA || null,
+  });
+  logger.info(`Test runs: ${SANDBOX_RUN_TESTS}`, {
+    tag: "Sandbox",
+    ...(SANDBOX_RUN_TESTS === "on" && !sandbox.testsEnabled
+      ? { unavailable: "no unshare" }
+      : {}),
+  });
+  logger.info(`Secret scan: ${SECRET_SCAN}`, { tag: "Secrets" });
+  logger.info(`Audit log: ${auditLog ? AUDIT_FILE : "off"}`, {
+    tag: "Audit",
+    ...(auditLog ? { redact: auditLog.redact } : {}),
+  });
+  logger.info(
+    `Chain from ${MODEL_CONFIG.source}: ` +
+      MODEL_CHAIN.map((s) => `${s.provider}/${s.model}`).join(" → "),
+    { tag: "Models" }
+  );
 });
@@ -0,0 +1,383 @@
+// session-store.mjs
+//
+// Where coding sessions live between requests. server.mjs only talks to the
+// interface below, so the backing store can be swapped without touching the
+// routes:
+//
+//   get(id)        -> session | null
+//   save(session)  -> void    (stamps updatedAt, then persists)
+//   delete(id)     -> boolean
+//   list()         -> [{ id, title, createdAt, updatedAt, messageCount, forkedFrom }]
+//   prune()        -> number of sessions evicted
+//   hold(id)       -> release()  (keeps the session's object cached until
+//                                 released, e.g. while a turn changes it)
+//
+// A session is { id, title, createdAt, updatedAt, messages: [{ role, content }] }
+// plus `forkedFrom: { sessionId, messageIndex }` when it was branched.
+//
+// Both stores evict sessions idle for longer than `ttlMs` and keep at most
+// `maxSessions`, dropping the least recently updated first. `onEvict(id)` is
+// called for each session dropped that way (not for delete()), so callers
+// can forget what they keep per session.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createJsonFile } from "./json-file.mjs";
+import { createLogger } from "./logger.mjs";
+
+function isExpired(updatedAt, ttlMs, now) {
+  return ttlMs > 0 && now - updatedAt > ttlMs;
+}
+
+// Ids of sessions to evict from an id -> updatedAt map.
+function pickEvictions(updatedAtById, { ttlMs, maxSessions }) {
+  const now = Date.now();
+  const evict = [];
+  const alive = [];
+
+  for (const [id, updatedAt] of updatedAtById) {
+    if (isExpired(updatedAt, ttlMs, now)) {
+      evict.push(id);
+    } else {
+      alive.push([id, updatedAt]);
+    }
+  }
+
+  if (maxSessions > 0 && alive.length > maxSessions) {
+    alive.sort((a, b) => a[1] - b[1]);
+    for (const [id] of alive.slice(0, alive.length - maxSessions)) {
+      evict.push(id);
+    }
+  }
+
+  return evict;
+}
+
+function summarize(session) {
+  return {
+    id: session.id,
+    owner: session.owner || null,
+    title: session.title || null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: session.messages.length,
+    forkedFrom: session.forkedFrom || null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// In-memory store (the old behavior; lost on restart)
+// ---------------------------------------------------------------------------
+
+export function createMemorySessionStore({
+  ttlMs = 0,
+  maxSessions = 0,
+  onEvict = () => {},
+} = {}) {
+  const sessions = new Map();
+
+  function evict(id) {
+    sessions.delete(id);
+    onEvict(id);
+  }
+
+  async function prune() {
+    const updatedAtById = new Map(
+      [...sessions.values()].map((s) => [s.id, s.updatedAt])
+    );
+    const evicted = pickEvictions(updatedAtById, { ttlMs, maxSessions });
+    for (const id of evicted) evict(id);
+    return evicted.length;
+  }
+
+  return {
+    kind: "memory",
+
+    async get(id) {
+      const s = sessions.get(id);
+      if (!s) return null;
+      if (isExpired(s.updatedAt, ttlMs, Date.now())) {
+        evict(id);
+        return null;
+      }
+      return s;
+    },
+
+    async save(session) {
+      session.updatedAt = Date.now();
+      sessions.set(session.id, session);
+      if (maxSessions > 0 && sessions.size > maxSessions) await prune();
+    },
+
+    async delete(id) {
+      return sessions.delete(id);
+    },
+
+    async list() {
+      const now = Date.now();
+      return [...sessions.values()]
+        .filter((s) => !isExpired(s.updatedAt, ttlMs, now))
+        .map(summarize);
+    },
+
+    prune,
+
+    // Nothing to hold: every session stays in memory until evicted.
+    hold() {
+      return () => {};
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// File store: one JSON file per session under `dir`, plus an index of their
+// summaries
+// ---------------------------------------------------------------------------
+
+// Doesn't end in .json, so it is never mistaken for a session.
+const INDEX_FILE = ".index";
+
+// A file written this long after its indexed updatedAt was saved after the
+// index was, e.g. just before a crash, so its summary is re-read.
+const INDEX_SLACK_MS = 1000;
+
+// Session ids come from the browser, so never use them as raw path segments.
+function fileNameFor(id) {
+  return `${encodeURIComponent(id)}.json`;
+}
+
+function idFromFileName(name) {
+  try {
+    return decodeURIComponent(name.slice(0, -".json".length));
+  } catch {
+    return null;
+  }
+}
+
+export function createFileSessionStore({
+  dir,
+  ttlMs = 0,
+  maxSessions = 0,
+  cacheSize = 100,
+  onEvict = () => {},
+  log = createLogger({ bufferSize: 0 }),
+} = {}) {
+  if (!dir) throw new Error("createFileSessionStore needs a 'dir'.");
+
+  // The most recently used sessions, shared by concurrent requests so they
+  // all append to the same messages array. Least recently used go first.
+  const cache = new Map();
+  // id -> summary for every session on disk, so listing and pruning never
+  // have to read every file. Mirrored to INDEX_FILE on each change.
+  const index = new Map();
+  const indexFile = createJsonFile({ file: path.join(dir, INDEX_FILE) });
+  // Writes are chained per session so a slow write can't land after a newer one.
+  const pendingWrites = new Map();
+  // id -> number of hold() calls not yet released.
+  const holds = new Map();
+
+  function filePath(id) {
+    return path.join(dir, fileNameFor(id));
+  }
+
+  async function readSession(id) {
+    const session = JSON.parse(await fs.readFile(filePath(id), "utf8"));
+    if (!session || !Array.isArray(session.messages)) return null;
+    session.id = id;
+    return session;
+  }
+
+  const ready = (async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const saved = (await indexFile.read().catch(() => null))?.sessions || {};
+    for (const name of await fs.readdir(dir)) {
+      if (!name.endsWith(".json")) continue;
+      const id = idFromFileName(name);
+      if (!id) continue;
+      try {
+        const { mtimeMs } = await fs.stat(path.join(dir, name));
+        let summary = saved[id];
+        if (!summary || mtimeMs - summary.updatedAt > INDEX_SLACK_MS) {
+          const session = await readSession(id);
+          summary = session && summarize(session);
+        }
+        if (summary) index.set(id, summary);
+      } catch (err) {
+        // Vanished since readdir, or unreadable; leave it out.
+        if (err.code !== "ENOENT") {
+          log.error("Could not index session", {
+            tag: "SessionStore",
+            sessionId: id,
+            err,
+          });
+        }
+      }
+    }
+    await writeIndex();
+  })();
+
+  function writeIndex() {
+    return indexFile.write({ sessions: Object.fromEntries(index) });
+  }
+
+  function remember(id, session) {
+    cache.delete(id);
+    cache.set(id, session);
+    for (const oldest of cache.keys()) {
+      if (cache.size <= cacheSize) break;
+      // Keep sessions that are held or have a write in flight; they are
+      // still being changed, and a fresh copy from disk would diverge.
+      if (!pendingWrites.has(oldest) && !holds.has(oldest)) {
+        cache.delete(oldest);
+      }
+    }
+  }
+
+  async function writeSession(session) {
+    const target = filePath(session.id);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(session), "utf8");
+    await fs.rename(tmp, target);
+  }
+
+  // Drops the session's file and index entry; the caller writes the index.
+  async function drop(id) {
+    cache.delete(id);
+    const existed = index.delete(id);
+    try {
+      await fs.unlink(filePath(id));
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return existed;
+      throw err;
+    }
+  }
+
+  async function remove(id) {
+    await ready;
+    const indexed = index.has(id);
+    try {
+      return await drop(id);
+    } finally {
+      if (indexed) await writeIndex();
+    }
+  }
+
+  async function evict(id) {
+    await remove(id);
+    onEvict(id);
+  }
+
+  async function prune() {
+    await ready;
+    const updatedAtById = new Map(
+      [...index].map(([id, summary]) => [id, summary.updatedAt])
+    );
+    const evicted = pickEvictions(updatedAtById, { ttlMs, maxSessions });
+    try {
+      for (const id of evicted) {
+        await drop(id);
+        onEvict(id);
+      }
+    } finally {
+      // Once for the whole sweep, not once per session.
+      if (evicted.length) await writeIndex();
+    }
+    if (evicted.length) {
+      log.info("Evicted sessions", {
+        tag: "SessionStore",
+        count: evicted.length,
+      });
+    }
+    return evicted.length;
+  }
+
+  return {
+    kind: "file",
+    ready,
+
+    async get(id) {
+      await ready;
+
+      const summary = index.get(id);
+      if (!summary) return null;
+      if (isExpired(summary.updatedAt, ttlMs, Date.now())) {
+        await evict(id);
+        return null;
+      }
+
+      if (cache.has(id)) {
+        const session = cache.get(id);
+        remember(id, session);
+        return session;
+      }
+
+      try {
+        const session = await readSession(id);
+        if (session) remember(id, session);
+        return session;
+      } catch (err) {
+        log.error("Could not read session", {
+          tag: "SessionStore",
+          sessionId: id,
+          err,
+        });
+        return null;
+      }
+    },
+
+    async save(session) {
+      await ready;
+      session.updatedAt = Date.now();
+      index.set(session.id, summarize(session));
+
+      const previous = pendingWrites.get(session.id) || Promise.resolve();
+      const write = previous
+        .catch(() => {})
+        .then(() => writeSession(session));
+      pendingWrites.set(session.id, write);
+      remember(session.id, session);
+      try {
+        await write;
+        await writeIndex();
+      } finally {
+        if (pendingWrites.get(session.id) === write) {
+          pendingWrites.delete(session.id);
+        }
+      }
+
+      if (maxSessions > 0 && index.size > maxSessions) await prune();
+    },
+
+    delete: remove,
+
+    async list() {
+      await ready;
+      const now = Date.now();
+      return [...index.values()].filter(
+        (summary) => !isExpired(summary.updatedAt, ttlMs, now)
+      );
+    },
+
+    prune,
+
+    hold(id) {
+      holds.set(id, (holds.get(id) || 0) + 1);
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        const left = holds.get(id) - 1;
+        if (left > 0) holds.set(id, left);
+        else holds.delete(id);
+      };
+    },
+  };
+}
+
+// Pick a store from config: { kind: "file" | "memory", dir, ttlMs, maxSessions }.
+export function createSessionStore({ kind = "file", ...options } = {}) {
+  if (kind === "memory") return createMemorySessionStore(options);
+  if (kind === "file") return createFileSessionStore(options);
+  throw new Error(`Unknown session store '${kind}' (expected file or memory).`);
+}
@@ -0,0 +1,349 @@
+// spec-coverage.mjs
+//
+// Checks a generated answer against the Prompt Architect's zero-drift
+// contract. The "features" and non-negotiables inputs become a checklist;
+// each item is then marked by looking through the answer's file blocks:
+//
+//   implemented  most of the item's key words show up in the code
+//   stubbed      they show up next to a TODO, "not implemented" or an
+//                empty function body
+//   missing      they mostly don't show up
+//   unverified   a word search can't tell (prohibitions like "no eval",
+//                items without usable key words)
+//
+// This is a cheap heuristic. verifyPrompt() / applyModelVerdicts() add an
+// optional second pass where the model marks each item itself, and
+// gapPrompt() writes the follow-up asking it to fill what is left.
+
+import { splitFileBlocks } from "./output-blocks.mjs";
+
+const STATUSES = ["implemented", "stubbed", "missing", "unverified"];
+const VERDICTS = ["implemented", "stubbed", "missing"];
+
+// Share of an item's key words that must appear in the code.
+const IMPLEMENTED_RATIO = 0.5;
+const MAX_KEYWORDS = 12;
+
+const STOPWORDS = new Set(
+  (
+    "a an and any are as at be been but by can could do does each else " +
+    "etc every for from has have how if in into is it its just like " +
+    "may might more most must need needs non negotiable negotiables not " +
+    "of on only or other our own per same should so some such than that " +
+    "the their them then there these they this those to too use used " +
+    "using via was were what when where which while who will with " +
+    "within without would you your also able ability allow allows make " +
+    "makes sure simple real proper properly feature features implement " +
+    "implemented support supports including include includes code eg ie"
+  ).split(" ")
+);
+
+// "Non-negotiable: no eval" is a prohibition; keyword hits prove nothing.
+const PROHIBITION_RE =
+  /^(?:non-negotiable:\s*)?(?:no|never|avoid|don't|do not|must not|without)\b/i;
+
+const STUB_PATTERNS = [
+  /\b(?:TODO|FIXME|XXX|TBD)\b/,
+  /not (?:yet )?implemented|implement (?:this|me|later)/i,
+  /\bplaceholder\b|\bstub(?:bed)?\b|NotImplementedError/i,
+  /^\s*pass\s*$/, // Python
+];
+const EMPTY_BODY_RE =
+  /(?:\bfunction\b[^(]*|\b[A-Za-z_$][\w$]*\s*)\([^)]*\)\s*\{\s*\}|=>\s*\{\s*\}/;
+const OPENS_FUNCTION_RE =
+  /(?:\bfunction\b[^(]*|\b[A-Za-z_$][\w$]*\s*)\([^)]*\)\s*\{\s*$|=>\s*\{\s*$/;
+const CONTROL_RE = /^\s*(?:\}\s*)?(?:if|for|while|switch|catch|else)\b/;
+
+// Crude stemming so "scores", "scoring", "scored" and "score" meet.
+function stem(word) {
+  for (const [suffix, replacement] of [
+    ["ies", "y"],
+    ["ing", ""],
+    ["ed", ""],
+    ["s", ""],
+  ]) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      word = word.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+  return word.length >= 4 && word.endsWith("e") ? word.slice(0, -1) : word;
+}
+
+// Words in prose or code: camelCase and snake_case are split apart.
+function words(text) {
+  return String(text || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function keywordsOf(text) {
+  return [...new Set(words(text))].slice(0, MAX_KEYWORDS);
+}
+
+// One item per line or bullet; a single line is split on semicolons.
+// Lines ending in ":" are headings, not items.
+function splitItems(text) {
+  let lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\s*(?:[-*•+]|\d+[.)]|\[[ xX]\])\s+/, "").trim())
+    .filter((l) => l.length >= 3 && !l.endsWith(":"));
+  if (lines.length === 1) {
+    lines = lines[0]
+      .split(/;\s+/)
+      .map((l) => l.trim())
+      .filter(Boolean);
+  }
+  return lines;
+}
+
+/**
+ * The checklist for a set of Prompt Architect inputs ({ fieldId: value }):
+ * [{ id, section: "feature" | "nonnegotiable", text }]. Ids are F1, F2, ...
+ * and N1, N2, ...
+ */
+export function checklistFrom(architect = {}) {
+  const features = splitItems(architect.features);
+  const nonnegotiables = splitItems(
+    [architect.nonnegPreset, architect.nonnegotiables]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return [
+    ...features.map((text, i) => ({
+      id: `F${i + 1}`,
+      section: "feature",
+      text,
+    })),
+    ...nonnegotiables.map((text, i) => ({
+      id: `N${i + 1}`,
+      section: "nonnegotiable",
+      text,
+    })),
+  ];
+}
+
+// Lines that look unfinished, with their words and the line above's (the
+// function name usually sits right above a TODO).
+function findStubs(path, content) {
+  const lines = content.split(/\r?\n/);
+  const stubs = [];
+  lines.forEach((line, i) => {
+    const emptyMultiline =
+      OPENS_FUNCTION_RE.test(line) && lines[i + 1]?.trim() === "}";
+    const isStub =
+      STUB_PATTERNS.some((re) => re.test(line)) ||
+      (!CONTROL_RE.test(line) && (EMPTY_BODY_RE.test(line) || emptyMultiline));
+    if (!isStub) return;
+    stubs.push({
+      file: path,
+      line: i + 1,
+      text: line.trim().slice(0, 200),
+      context: new Set(
+        words(lines.slice(Math.max(0, i - 1), i + 1).join("\n"))
+      ),
+    });
+  });
+  return stubs;
+}
+
+function summarize(items) {
+  const summary = { total: items.length };
+  for (const status of STATUSES) {
+    summary[status] = items.filter((i) => i.status === status).length;
+  }
+  return summary;
+}
+
+/**
+ * Mark each checklist item against the file blocks in `text`. Returns
+ * { items: [{ id, section, text, status, files, stubs, note, checkedBy }],
+ * summary: { total, implemented, stubbed, missing, unverified } }.
+ */
+export function analyzeCoverage(checklist, text) {
+  const files = splitFileBlocks(text)
+    .filter((b) => b.path)
+    .map((b) => ({
+      path: b.path,
+      content: b.content,
+      words: new Set(words(b.content)),
+    }));
+  const stubs = files.flatMap((f) => findStubs(f.path, f.content));
+
+  const items = checklist.map((item) => {
+    const keywords = keywordsOf(item.text);
+    const result = {
+      ...item,
+      files: [],
+      stubs: [],
+      note: "",
+      checkedBy: "heuristic",
+    };
+
+    if (!files.length) {
+      return {
+        ...result,
+        status: "missing",
+        note: "The answer has no file blocks.",
+      };
+    }
+    if (!keywords.length) {
+      return {
+        ...result,
+        status: "unverified",
+        note: "No key words to look for.",
+      };
+    }
+
+    const hits = new Set();
+    const byFile = files
+      .map((f) => {
+        const found = keywords.filter((k) => f.words.has(k));
+        found.forEach((k) => hits.add(k));
+        return { path: f.path, count: found.length };
+      })
+      .filter((f) => f.count)
+      .sort((a, b) => b.count - a.count);
+    result.files = byFile.slice(0, 3).map((f) => f.path);
+
+    if (PROHIBITION_RE.test(item.text)) {
+      return {
+        ...result,
+        status: "unverified",
+        note: "A constraint; ask the model to check it.",
+      };
+    }
+
+    // A stub "about" this item mentions at least two of its key words (or
+    // its only one).
+    const needed = Math.min(2, keywords.length);
+    result.stubs = stubs
+      .filter((s) => keywords.filter((k) => s.context.has(k)).length >= needed)
+      .slice(0, 5)
+      .map(({ file, line, text }) => ({ file, line, text }));
+
+    const ratio = hits.size / keywords.length;
+    if (result.stubs.length) {
+      return {
+        ...result,
+        status: "stubbed",
+        note: "Unfinished code mentions it.",
+      };
+    }
+    if (ratio >= IMPLEMENTED_RATIO) {
+      return { ...result, status: "implemented" };
+    }
+    return {
+      ...result,
+      status: "missing",
+      note: `Only ${hits.size} of ${keywords.length} key words are in it.`,
+    };
+  });
+
+  return { items, summary: summarize(items) };
+}
+
+/**
+ * Second-pass prompt: the model gets the checklist (with the heuristic's
+ * guess) and the code, and answers with a JSON verdict per item. Code past
+ * `maxChars` is cut off, and the prompt says so.
+ */
+export function verifyPrompt({ items, text, maxChars = 150000 }) {
+  let code = splitFileBlocks(text)
+    .filter((b) => b.path)
+    .map((b) => `// file: ${b.path}\n${b.content}`)
+    .join("\n\n");
+  const truncated = code.length > maxChars;
+  if (truncated) code = code.slice(0, maxChars);
+
+  const checklist = items
+    .map((i) => `${i.id} [${i.section}] ${i.text} (word search: ${i.status})`)
+    .join("\n");
+
+  return [
+    "You are reviewing generated code against its spec. For every checklist",
+    "item decide whether the code really implements it:",
+    '- "implemented": working code paths exist for it',
+    '- "stubbed": only a TODO, placeholder, empty function or comment',
+    '- "missing": nothing in the code covers it',
+    "For constraints (\"no X\"), implemented means the code respects it.",
+    "",
+    "Reply with ONLY a JSON array, one object per item, no prose:",
+    '[{"id": "F1", "status": "missing", "note": "what is missing or where"}]',
+    "",
+    "CHECKLIST:",
+    checklist,
+    "",
+    truncated
+      ? `CODE (cut off after ${maxChars} characters; judge what you can see):`
+      : "CODE:",
+    code,
+  ].join("\n");
+}
+
+// Merge the model's JSON verdicts into `items`. Items it skipped, or gave
+// an unknown status, keep the heuristic's answer.
+export function applyModelVerdicts(items, replyText) {
+  const reply = String(replyText || "");
+  const start = reply.indexOf("[");
+  const end = reply.lastIndexOf("]");
+  let verdicts = [];
+  if (start >= 0 && end > start) {
+    try {
+      verdicts = JSON.parse(reply.slice(start, end + 1));
+    } catch {
+      verdicts = [];
+    }
+  }
+  if (!Array.isArray(verdicts) || !verdicts.length) {
+    throw new Error("The model's reply had no JSON verdicts.");
+  }
+
+  const byId = new Map(
+    verdicts
+      .filter((v) => v && VERDICTS.includes(v.status))
+      .map((v) => [String(v.id), v])
+  );
+  const merged = items.map((item) => {
+    const verdict = byId.get(item.id);
+    if (!verdict) return item;
+    return {
+      ...item,
+      status: verdict.status,
+      note: typeof verdict.note === "string" ? verdict.note.slice(0, 500) : "",
+      checkedBy: "model",
+    };
+  });
+  return { items: merged, summary: summarize(merged) };
+}
+
+// The follow-up asking the model to finish the missing and stubbed items,
+// or null when there is nothing to ask for.
+export function gapPrompt(items) {
+  const gaps = items.filter(
+    (i) => i.status === "missing" || i.status === "stubbed"
+  );
+  if (!gaps.length) return null;
+
+  const lines = gaps.map((i) => {
+    const spots = (i.stubs || []).map((s) => `${s.file}:${s.line}`);
+    const where = spots.length ? ` (unfinished at ${spots.join(", ")})` : "";
+    const label = i.status === "stubbed" ? "STUBBED" : "MISSING";
+    return `- [${label}] ${i.text}${where}`;
+  });
+
+  return [
+    "Your previous answer does not fully meet the spec's zero-drift contract.",
+    "These checklist items are missing or only stubbed:",
+    "",
+    ...lines,
+    "",
+    "Implement every one of them as real, working code. Output the FULL",
+    "contents of each file you add or change, with `// file:` headers, and",
+    "keep everything else as it was. Do not repeat unchanged files and do",
+    "not leave TODOs.",
+  ].join("\n");
+}
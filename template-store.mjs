@@ -0,0 +1,88 @@
+// template-store.mjs
+//
+// Named Prompt Architect templates, shared by everyone on the server and
+// kept in one JSON file:
+//
+//   { templates: [{ id, name, owner, ownerName, createdAt, updatedAt,
+//                   inputs: { fieldId: value },
+//                   presets: { presetFieldId: [{ label, value }] } }] }
+//
+// `inputs` is the whole form; `presets` holds the team's own options for
+// each preset dropdown. Validation happens in the routes.
+
+import crypto from "node:crypto";
+import { createJsonFile } from "./json-file.mjs";
+
+export function createTemplateStore({ file }) {
+  if (!file) throw new Error("createTemplateStore needs a 'file'.");
+
+  const store = createJsonFile({ file });
+  let templates = [];
+
+  const ready = (async () => {
+    const raw = await store.read();
+    templates = Array.isArray(raw?.templates) ? raw.templates : [];
+  })();
+
+  function persist() {
+    return store.write({ templates });
+  }
+
+  return {
+    ready,
+
+    // Newest first.
+    async list() {
+      await ready;
+      return [...templates].sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    async get(id) {
+      await ready;
+      return templates.find((t) => t.id === id) || null;
+    },
+
+    async findByName(name) {
+      await ready;
+      const key = name.trim().toLowerCase();
+      return templates.find((t) => t.name.toLowerCase() === key) || null;
+    },
+
+    async create({ name, owner = null, ownerName = null, inputs, presets }) {
+      await ready;
+      const now = Date.now();
+      const template = {
+        id: `tpl-${crypto.randomUUID()}`,
+        name,
+        owner,
+        ownerName,
+        createdAt: now,
+        updatedAt: now,
+        inputs,
+        presets,
+      };
+      templates.push(template);
+      await persist();
+      return template;
+    },
+
+    // Replaces name, inputs and presets. Returns null if `id` is unknown.
+    async update(id, { name, inputs, presets }) {
+      await ready;
+      const template = templates.find((t) => t.id === id);
+      if (!template) return null;
+      Object.assign(template, { name, inputs, presets, updatedAt: Date.now() });
+      await persist();
+      return template;
+    },
+
+    async delete(id) {
+      await ready;
+      const before = templates.length;
+      templates = templates.filter((t) => t.id !== id);
+      if (templates.length === before) return false;
+      await persist();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,232 @@
+// usage.mjs
+//
+// Token usage, cost estimates and per-user limits.
+//
+// - A meter collects the usage of every model call made for one turn
+//   (retries, fallbacks and chunk calls included).
+// - The ledger appends one JSON line per turn to a file and keeps recent
+//   days in memory for quotas and /api/usage.
+// - The rate limiter is a per-key sliding one-minute window.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// USD per 1M tokens. Estimates only: check your provider's price list and
+// override with MODEL_PRICES (JSON). Unlisted models fall back to "*".
+const DEFAULT_PRICES = {
+  "gpt-5.1-codex-max": { input: 1.25, output: 10 },
+  "gpt-5.1-chat-latest": { input: 1.25, output: 10 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "*": { input: 0, output: 0 },
+};
+
+export function loadPrices(json) {
+  const prices = { ...DEFAULT_PRICES };
+  if (!json) return prices;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`MODEL_PRICES is not valid JSON: ${err.message}`);
+  }
+  for (const [model, value] of Object.entries(overrides || {})) {
+    prices[model] = { ...(prices[model] || prices["*"]), ...value };
+  }
+  return prices;
+}
+
+export function costOf(prices, model, inputTokens, outputTokens) {
+  const { input = 0, output = 0 } = prices[model] || prices["*"];
+  return (inputTokens * input + outputTokens * output) / 1e6;
+}
+
+function emptyTotals() {
+  return { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0 };
+}
+
+function addTo(totals, { inputTokens, outputTokens, costUsd, calls = 1 }) {
+  totals.inputTokens += inputTokens;
+  totals.outputTokens += outputTokens;
+  totals.costUsd += costUsd;
+  totals.calls += calls;
+  return totals;
+}
+
+/**
+ * Usage for one turn. add() takes { model, inputTokens, outputTokens,
+ * estimated } per model call; totals() sums them, with a per-model
+ * breakdown.
+ */
+export function createMeter(prices) {
+  const calls = [];
+  return {
+    add({ model, inputTokens = 0, outputTokens = 0, estimated = false }) {
+      calls.push({
+        model,
+        inputTokens,
+        outputTokens,
+        estimated,
+        costUsd: costOf(prices, model, inputTokens, outputTokens),
+      });
+    },
+
+    totals() {
+      const totals = emptyTotals();
+      const models = {};
+      for (const call of calls) {
+        addTo(totals, call);
+        addTo((models[call.model] ||= emptyTotals()), call);
+      }
+      return {
+        ...totals,
+        estimated: calls.some((c) => c.estimated),
+        models,
+      };
+    },
+  };
+}
+
+// UTC calendar day, e.g. "2026-10-19".
+export function dayKey(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+export function nextUtcMidnight(ts = Date.now()) {
+  const d = new Date(ts);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+/**
+ * Append-only usage log at `file` (one JSON object per line):
+ *   { at, user, session, route, inputTokens, outputTokens, costUsd, calls,
+ *     models: { model: { inputTokens, outputTokens, costUsd, calls } } }
+ * Entries younger than `keepDays` stay in memory for quotas and reports.
+ */
+export function createUsageLedger({ file, keepDays = 31 }) {
+  const keepMs = keepDays * 24 * 60 * 60 * 1000;
+  let entries = [];
+  let pendingWrite = Promise.resolve();
+
+  const ready = (async () => {
+    let raw = "";
+    try {
+      raw = await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      return;
+    }
+    const cutoff = Date.now() - keepMs;
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.at >= cutoff) entries.push(entry);
+      } catch {
+        // Torn last line after a crash; skip it.
+      }
+    }
+  })();
+
+  function forUser(user, from = 0) {
+    return entries.filter((e) => e.user === user && e.at >= from);
+  }
+
+  return {
+    ready,
+
+    async record(entry) {
+      await ready;
+      entries.push(entry);
+      const cutoff = Date.now() - keepMs;
+      if (entries[0].at < cutoff) entries = entries.filter((e) => e.at >= cutoff);
+
+      const line = `${JSON.stringify(entry)}\n`;
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.appendFile(file, line, "utf8");
+        });
+      return pendingWrite;
+    },
+
+    // Tokens `user` has used since UTC midnight.
+    async tokensToday(user) {
+      await ready;
+      const since = nextUtcMidnight() - 24 * 60 * 60 * 1000;
+      return forUser(user, since).reduce(
+        (sum, e) => sum + e.inputTokens + e.outputTokens,
+        0
+      );
+    },
+
+    // Per-day totals for the last `days` days (oldest first) and today's
+    // per-model breakdown.
+    async report(user, { days = 7 } = {}) {
+      await ready;
+      const today = dayKey();
+      const byDay = new Map();
+      for (let i = days - 1; i >= 0; i--) {
+        const key = dayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+        byDay.set(key, { date: key, requests: 0, ...emptyTotals() });
+      }
+
+      const byModel = {};
+      for (const e of forUser(user)) {
+        const key = dayKey(e.at);
+        const day = byDay.get(key);
+        if (!day) continue;
+        day.requests += 1;
+        addTo(day, e);
+        if (key === today) {
+          for (const [model, totals] of Object.entries(e.models || {})) {
+            addTo((byModel[model] ||= emptyTotals()), totals);
+          }
+        }
+      }
+
+      return {
+        days: [...byDay.values()],
+        today: byDay.get(today),
+        byModel,
+        resetsAt: nextUtcMidnight(),
+      };
+    },
+  };
+}
+
+// Sliding-window limiter: at most `perMinute` hits per key per 60 s.
+// hit() returns { ok, remaining, retryAfterSec }.
+export function createRateLimiter({ perMinute }) {
+  const hits = new Map();
+
+  function recent(key, now) {
+    const list = (hits.get(key) || []).filter((t) => t > now - 60000);
+    hits.set(key, list);
+    return list;
+  }
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      if (!perMinute) return { ok: true, remaining: null, retryAfterSec: 0 };
+
+      const list = recent(key, now);
+      if (list.length >= perMinute) {
+        return {
+          ok: false,
+          remaining: 0,
+          retryAfterSec: Math.ceil((list[0] + 60000 - now) / 1000),
+        };
+      }
+      list.push(now);
+      return { ok: true, remaining: perMinute - list.length, retryAfterSec: 0 };
+    },
+
+    remaining(key) {
+      if (!perMinute) return null;
+      return perMinute - recent(key, Date.now()).length;
+    },
+  };
+}
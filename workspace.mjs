@@ -0,0 +1,480 @@
+// workspace.mjs
+//
+// A session's workspace: the current version of every file its replies
+// produced, so follow-ups can edit files instead of regenerating them.
+//
+//   { version, files: { [path]: { content, version, messageIndex } } }
+//
+// version counts the replies that changed something; a file's version is
+// the workspace version that last wrote it and messageIndex the reply that
+// did. The workspace is a pure function of the replies, so it can always be
+// rebuilt from a history (replayWorkspace).
+//
+// A reply changes the workspace through:
+//   // file: path              the whole file (creates or replaces it)
+//   // edit: path              followed by one or more
+//   <<<<<<< SEARCH                search/replace blocks; SEARCH must match
+//   old lines                     the current file exactly once
+//   =======
+//   new lines
+//   >>>>>>> REPLACE
+//   // delete: path            removes the file
+//   --- a/path / +++ b/path    unified diffs, fenced (```diff) or bare
+//
+// Edits to one file apply all together or not at all: a SEARCH that isn't
+// found (or is ambiguous), or a hunk whose lines aren't in the file, leaves
+// the file as it was and is reported as a conflict.
+//
+// Only replies to edit-mode prompts are read for edits, diffs and deletes.
+// Any other reply changes the workspace through its // file: blocks alone,
+// so a diff it merely shows as an example is left alone.
+
+import { safeRelativePath, splitFileBlocks } from "./output-blocks.mjs";
+
+export const EDIT_MODE_PROMPT = `
+EDIT MODE (overrides the rule about outputting full files):
+The current version of every file in this session is in the WORKSPACE section of the user's message. Change only what the request needs, as targeted edits against those files:
+
+// edit: path/to/file.ext
+<<<<<<< SEARCH
+lines copied exactly from the current file
+=======
+the lines that replace them
+>>>>>>> REPLACE
+
+- SEARCH must match the current file exactly (indentation included) and only once; add a surrounding line or two when needed to make it unique.
+- Several SEARCH/REPLACE blocks may follow one // edit: header. Use one header per file.
+- Unified diffs (--- a/path, +++ b/path, @@ hunks) in a \`\`\`diff fence are accepted too.
+- Write a brand-new file in full under a // file: header. Remove a file with a line "// delete: path".
+- Do not repeat unchanged files. Keep any explanation short and after the edits.
+`.trim();
+
+const HEADER_RE =
+  /^\s*(?:\/\/|#|\/\*|<!--)\s*(file|edit|delete):\s*(.+?)\s*(?:\*\/|-->)?\s*$/i;
+const SEARCH_RE = /^\s*<{5,9} SEARCH\s*$/;
+const DIVIDER_RE = /^\s*={5,9}\s*$/;
+const REPLACE_RE = /^\s*>{5,9} REPLACE\s*$/;
+const FENCE_RE = /^\s*(`{3,}|~{3,})(.*)$/;
+const HUNK_RE = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+export function emptyWorkspace() {
+  return { version: 0, files: Object.create(null) };
+}
+
+// Whether `path` is a file of `workspace`. Paths come from replies, so
+// "constructor" or "__proto__" must never reach Object.prototype.
+export function hasFile(workspace, path) {
+  return Object.hasOwn(workspace?.files || {}, path);
+}
+
+function cleanPath(p) {
+  return String(p || "")
+    .trim()
+    .replace(/^["'`]|["'`]$/g, "");
+}
+
+function diffPath(line) {
+  const p = line.slice(4).split("\t")[0].trim();
+  if (p === "/dev/null") return null;
+  return p.replace(/^[ab]\//, "");
+}
+
+// Lines of a unified diff starting at `start` (its "--- " line). Returns
+// { edit, end } where end is the first line after it.
+function parseDiff(lines, start, fenced) {
+  const oldPath = diffPath(lines[start]);
+  const newPath = diffPath(lines[start + 1]);
+  const edit = {
+    path: newPath ?? oldPath,
+    kind: "patch",
+    create: oldPath === null,
+    delete: newPath === null,
+    hunks: [],
+  };
+
+  let i = start + 2;
+  let hunk = null;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const header = line.match(HUNK_RE);
+    if (header) {
+      hunk = { oldStart: Number(header[1]), oldLines: [], newLines: [] };
+      edit.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk || line.startsWith("--- ")) break;
+    if (line.startsWith("\\")) continue; // "\ No newline at end of file"
+    const mark = line[0];
+    if (mark === " " || (line === "" && (fenced || diffContinues(lines, i)))) {
+      hunk.oldLines.push(line.slice(1));
+      hunk.newLines.push(line.slice(1));
+    } else if (mark === "-") {
+      hunk.oldLines.push(line.slice(1));
+    } else if (mark === "+") {
+      hunk.newLines.push(line.slice(1));
+    } else {
+      break;
+    }
+  }
+  return { edit, end: i };
+}
+
+// A blank line inside a bare diff is a context line only if the diff goes
+// on after it.
+function diffContinues(lines, i) {
+  const next = lines[i + 1];
+  return next !== undefined && /^[ +\-@\\]/.test(next);
+}
+
+function isDiffStart(lines, i) {
+  return (
+    lines[i].startsWith("--- ") &&
+    lines[i + 1]?.startsWith("+++ ") &&
+    HUNK_RE.test(lines[i + 2] || "")
+  );
+}
+
+/**
+ * The edits in a reply, in order:
+ *   { path, kind: "file", content }
+ *   { path, kind: "replace", search, replace }
+ *   { path, kind: "patch", hunks, create, delete }
+ *   { path, kind: "delete" }
+ * plus `problems` ([{ path, reason }]) for blocks that can't be applied
+ * whatever the files say (a SEARCH block with no file named, an unclosed
+ * block).
+ */
+export function parseEdits(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const edits = [];
+  const problems = [];
+  const rest = []; // everything else, for the // file: blocks
+
+  let editPath = null; // path of the current // edit: section
+  let editFence = null; // fence opened right after its header
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const header = line.match(HEADER_RE);
+
+    if (header) {
+      const kind = header[1].toLowerCase();
+      const target = cleanPath(header[2]);
+      if (kind === "delete") {
+        edits.push({ path: target, kind: "delete" });
+        editPath = null;
+        continue;
+      }
+      // "// file:" followed by SEARCH blocks is an edit too.
+      let next = i + 1;
+      let fence = null;
+      if (FENCE_RE.test(lines[next] || "")) {
+        fence = lines[next].match(FENCE_RE)[1];
+        next++;
+      }
+      if (kind === "edit" || SEARCH_RE.test(lines[next] || "")) {
+        editPath = target;
+        editFence = fence;
+        i = next - 1;
+        continue;
+      }
+      editPath = null;
+      rest.push(line);
+      continue;
+    }
+
+    if (SEARCH_RE.test(line)) {
+      const search = [];
+      const replace = [];
+      let j = i + 1;
+      while (j < lines.length && !DIVIDER_RE.test(lines[j])) {
+        search.push(lines[j++]);
+      }
+      const divider = j++;
+      while (j < lines.length && !REPLACE_RE.test(lines[j])) {
+        replace.push(lines[j++]);
+      }
+      if (divider >= lines.length || j >= lines.length) {
+        problems.push({
+          path: editPath,
+          reason: "unclosed SEARCH/REPLACE block",
+        });
+        break;
+      }
+      if (editPath === null) {
+        problems.push({
+          path: null,
+          reason: "SEARCH/REPLACE block without a // edit: header",
+        });
+      } else {
+        edits.push({
+          path: editPath,
+          kind: "replace",
+          search: search.join("\n"),
+          replace: replace.join("\n"),
+        });
+      }
+      i = j;
+      continue;
+    }
+
+    if (editPath !== null && editFence) {
+      // The fence that wrapped this file's SEARCH/REPLACE blocks.
+      const closing = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+      if (closing && closing[1][0] === editFence[0]) {
+        editPath = null;
+        editFence = null;
+        continue;
+      }
+    }
+
+    if (isDiffStart(lines, i)) {
+      const fenced = /^(?:diff|patch)?$/i.test(
+        (rest[rest.length - 1] || "").match(FENCE_RE)?.[2].trim() ?? "x"
+      );
+      const { edit, end } = parseDiff(lines, i, fenced);
+      edits.push(edit);
+      i = end - 1;
+      continue;
+    }
+
+    if (line.startsWith("diff --git ") && isDiffStart(lines, i + 1)) continue;
+    const gitIndex = /^index [0-9a-f]+\.\.[0-9a-f]+/.test(line);
+    if (gitIndex && isDiffStart(lines, i + 1)) continue;
+
+    if (editPath !== null && !line.trim()) continue;
+    editPath = editPath !== null && editFence ? editPath : null;
+    rest.push(line);
+  }
+
+  // Whole files, in the order they appeared relative to each other.
+  edits.push(...wholeFiles(rest.join("\n")));
+
+  return { edits, problems };
+}
+
+// The // file: blocks of `text` as edits that write them in full.
+function wholeFiles(text) {
+  return splitFileBlocks(String(text || "").replace(/\r\n/g, "\n"))
+    .filter((block) => block.path !== null)
+    .map((block) => ({
+      path: block.path,
+      kind: "file",
+      content: block.content.replace(/^\n+/, ""),
+    }));
+}
+
+function withNewline(text) {
+  return text.endsWith("\n") ? text : `${text}\n`;
+}
+
+function splitFile(content) {
+  const lines = content.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Start indexes where `needle` (lines) occurs in `hay`, ignoring trailing
+// whitespace.
+function lineMatches(hay, needle) {
+  const found = [];
+  const same = (a, b) => a.trimEnd() === b.trimEnd();
+  for (let i = 0; i + needle.length <= hay.length; i++) {
+    if (needle.every((line, k) => same(hay[i + k], line))) found.push(i);
+  }
+  return found;
+}
+
+function applyReplace(content, { search, replace }) {
+  if (!search.trim()) {
+    throw new Error("empty SEARCH block for an existing file");
+  }
+  const exact = content.split(search).length - 1;
+  if (exact === 1) return content.replace(search, () => replace);
+  if (exact > 1) {
+    throw new Error(
+      `SEARCH text matches ${exact} places; it needs more context`
+    );
+  }
+
+  // Models often get trailing whitespace wrong; retry line by line.
+  const lines = splitFile(content);
+  const wanted = search.split("\n");
+  const at = lineMatches(lines, wanted);
+  if (at.length !== 1) {
+    throw new Error(
+      at.length
+        ? `SEARCH text matches ${at.length} places; it needs more context`
+        : `SEARCH text not found: "${wanted[0].trim().slice(0, 60)}"`
+    );
+  }
+  lines.splice(at[0], wanted.length, ...replace.split("\n"));
+  return withNewline(lines.join("\n"));
+}
+
+function applyPatch(content, { hunks }) {
+  const lines = splitFile(content);
+  let offset = 0; // how far earlier hunks moved the lines
+  for (const [n, hunk] of hunks.entries()) {
+    // A hunk without old lines inserts after line oldStart.
+    const stated = hunk.oldLines.length ? hunk.oldStart - 1 : hunk.oldStart;
+    const expected = Math.min(Math.max(0, stated + offset), lines.length);
+    let at = expected;
+    if (hunk.oldLines.length) {
+      const found = lineMatches(lines, hunk.oldLines);
+      if (!found.length) {
+        throw new Error(
+          `hunk ${n + 1} (line ${hunk.oldStart}) does not match the file`
+        );
+      }
+      // Where the diff said, or else the nearest place it fits.
+      at = found.reduce((best, i) =>
+        Math.abs(i - expected) < Math.abs(best - expected) ? i : best
+      );
+    }
+    lines.splice(at, hunk.oldLines.length, ...hunk.newLines);
+    offset = at - stated + hunk.newLines.length - hunk.oldLines.length;
+  }
+  return withNewline(lines.join("\n"));
+}
+
+// The new content of one file after `edits`, or undefined when deleted.
+// Throws with the reason on a conflict.
+function applyFileEdits(content, edits) {
+  for (const edit of edits) {
+    if (edit.kind === "file") {
+      content = withNewline(edit.content);
+    } else if (edit.kind === "delete" || (edit.kind === "patch" && edit.delete)) {
+      if (content === undefined) {
+        throw new Error("file is not in the workspace");
+      }
+      content = undefined;
+    } else if (edit.kind === "patch" && edit.create) {
+      if (content !== undefined) throw new Error("file already exists");
+      content = withNewline(edit.hunks.flatMap((h) => h.newLines).join("\n"));
+    } else if (content === undefined) {
+      if (edit.kind === "replace" && !edit.search.trim()) {
+        content = withNewline(edit.replace);
+      } else {
+        throw new Error("file is not in the workspace");
+      }
+    } else {
+      content =
+        edit.kind === "replace"
+          ? applyReplace(content, edit)
+          : applyPatch(content, edit);
+    }
+  }
+  return content;
+}
+
+/**
+ * Apply a reply's edits to `workspace` (which is left untouched).
+ * messageIndex is the reply's index in the history; `edits` is set for
+ * replies to edit-mode prompts (otherwise only whole files are written).
+ *
+ * Returns { workspace, results } with one result per file (or problem):
+ *   { path, status: "created" | "updated" | "deleted" | "unchanged" |
+ *     "conflict", reason? }
+ */
+export function applyReply(
+  workspace,
+  text,
+  { messageIndex = null, edits: editMode = false } = {}
+) {
+  const base = workspace || emptyWorkspace();
+  const { edits, problems } = editMode
+    ? parseEdits(text)
+    : { edits: wholeFiles(text), problems: [] };
+  const results = problems.map((p) => ({ ...p, status: "conflict" }));
+
+  const byPath = new Map();
+  for (const edit of edits) {
+    const safe = safeRelativePath(edit.path);
+    if (!safe) {
+      results.push({
+        path: edit.path,
+        status: "conflict",
+        reason: "unsafe path",
+      });
+      continue;
+    }
+    if (!byPath.has(safe)) byPath.set(safe, []);
+    byPath.get(safe).push(edit);
+  }
+
+  // No prototype, so a "__proto__" file is stored like any other.
+  const files = Object.assign(Object.create(null), base.files);
+  const version = base.version + 1;
+  let changed = false;
+  for (const [path, fileEdits] of byPath) {
+    const before = Object.hasOwn(files, path)
+      ? files[path].content
+      : undefined;
+    let after;
+    try {
+      after = applyFileEdits(before, fileEdits);
+    } catch (err) {
+      results.push({ path, status: "conflict", reason: err.message });
+      continue;
+    }
+
+    if (after === before) {
+      results.push({ path, status: "unchanged" });
+      continue;
+    }
+    changed = true;
+    if (after === undefined) {
+      delete files[path];
+      results.push({ path, status: "deleted" });
+    } else {
+      files[path] = { content: after, version, messageIndex };
+      results.push({
+        path,
+        status: before === undefined ? "created" : "updated",
+      });
+    }
+  }
+
+  return {
+    workspace: changed ? { version, files } : base,
+    results,
+  };
+}
+
+// The workspace after every assistant reply in `messages`.
+export function replayWorkspace(messages) {
+  let workspace = emptyWorkspace();
+  (messages || []).forEach((m, index) => {
+    if (m.role !== "assistant") return;
+    workspace = applyReply(workspace, m.content, {
+      messageIndex: index,
+      edits: isEditPrompt(messages[index - 1]),
+    }).workspace;
+  });
+  return workspace;
+}
+
+export function isEditPrompt(message) {
+  return message?.role === "user" && message.mode === "edit";
+}
+
+/**
+ * The files an edit-mode turn works on, as text for the prompt: `paths`
+ * (all files when empty) under // file: headers.
+ */
+export function workspaceSnapshot(workspace, paths = []) {
+  const all = Object.keys(workspace?.files || {});
+  const chosen = paths.length
+    ? paths.filter((p) => hasFile(workspace, p))
+    : all;
+  if (!chosen.length) {
+    return "WORKSPACE: empty. Write new files in full under // file: headers.";
+  }
+  const others = all.filter((p) => !chosen.includes(p));
+  return [
+    `WORKSPACE (version ${workspace.version}; ${all.length} file(s))` +
+      (others.length ? `. Not shown: ${others.join(", ")}` : ""),
+    ...chosen.map((p) => `// file: ${p}\n${workspace.files[p].content}`),
+  ].join("\n\n");
+}
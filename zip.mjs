@@ -0,0 +1,221 @@
+// zip.mjs
+//
+// Minimal ZIP reader/writer on top of node:zlib, enough for uploading small
+// repos and exporting generated files. Supports stored and deflated entries;
+// no encryption, no ZIP64, no multi-disk archives.
+
+import zlib from "node:zlib";
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function findEndOfCentralDirectory(buf) {
+  // The record is 22 bytes plus an optional comment of up to 64 KB.
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === SIG_END) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read the entries of a ZIP archive.
+ *
+ * Options:
+ *   maxEntries         refuse archives listing more entries than this
+ *   maxTotalBytes      stop inflating once this many bytes were produced
+ *   shouldExtract(p)   return false to skip an entry without inflating it
+ *
+ * Returns { entries: [{ path, data }], skipped: [{ path, reason }] }.
+ * Directory entries are omitted. Throws on a malformed archive.
+ */
+export function readZip(
+  buf,
+  { maxEntries = 5000, maxTotalBytes = 50 * 1024 * 1024, shouldExtract } = {}
+) {
+  const end = findEndOfCentralDirectory(buf);
+  if (end < 0) {
+    throw new Error("Not a ZIP archive (no end of central directory).");
+  }
+
+  const count = buf.readUInt16LE(end + 10);
+  let offset = buf.readUInt32LE(end + 16);
+  if (count > maxEntries) {
+    throw new Error(`ZIP archive has ${count} entries (limit ${maxEntries}).`);
+  }
+
+  const entries = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== SIG_CENTRAL) {
+      throw new Error("Corrupt ZIP central directory.");
+    }
+
+    const flags = buf.readUInt16LE(offset + 8);
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const nameBytes = buf.subarray(offset + 46, offset + 46 + nameLen);
+    const name = nameBytes.toString(flags & FLAG_UTF8 ? "utf8" : "latin1");
+
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue; // directory
+
+    if (flags & FLAG_ENCRYPTED) {
+      skipped.push({ path: name, reason: "encrypted" });
+      continue;
+    }
+    if (size === 0xffffffff || compressedSize === 0xffffffff) {
+      skipped.push({ path: name, reason: "zip64 not supported" });
+      continue;
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      skipped.push({ path: name, reason: `compression method ${method}` });
+      continue;
+    }
+    if (shouldExtract && !shouldExtract(name)) {
+      continue;
+    }
+    if (totalBytes + size > maxTotalBytes) {
+      skipped.push({ path: name, reason: "archive size limit" });
+      continue;
+    }
+
+    if (buf.readUInt32LE(localOffset) !== SIG_LOCAL) {
+      throw new Error(`Corrupt ZIP local header for ${name}.`);
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buf.readUInt16LE(localOffset + 26) +
+      buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORED) {
+      data = Buffer.from(raw);
+    } else {
+      try {
+        // Cap output at the declared size so a lying header can't balloon.
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      } catch (err) {
+        skipped.push({ path: name, reason: `inflate failed: ${err.message}` });
+        continue;
+      }
+    }
+
+    totalBytes += data.length;
+    entries.push({ path: name, data });
+  }
+
+  return { entries, skipped };
+}
+
+function dosDateTime(date) {
+  const time =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2);
+  const day =
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive from [{ path, data }] where data is a Buffer or string.
+ * Entries are deflated unless that would make them bigger.
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const { time, day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.path, "utf8");
+    const data = Buffer.isBuffer(file.data)
+      ? file.data
+      : Buffer.from(String(file.data ?? ""), "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(SIG_LOCAL, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(SIG_CENTRAL, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(SIG_END, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, end]);
+}